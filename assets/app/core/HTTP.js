@@ -1,14 +1,250 @@
 class HTTP {
 
     /**
-     * API Base URLs
+     * Configured API base URLs, keyed by name (e.g. `pmb`). A value may be a function returning the URL,
+     * called whenever the URL is read.
+     *
+     * Names missing here are read from the `href` of the `#base-api-{name}` link tag when they are used,
+     * so `HTTP.js` can be loaded before the DOM is ready.
+     *
+     * @type {Object<string, string|Function>}
+     *
+     * @example
+     * HTTP.baseUrls.pmb = 'https://api.example.ac.id/pmb';
+     * HTTP.baseUrls.storage = () => window.appConfig.storageUrl;
+     */
+    static baseUrls = {};
+
+    /**
+     * Gets an API base URL.
+     *
+     * @param {string} name - The name of the base URL (e.g. `pmb`).
+     *
+     * @returns {string|undefined} - The URL configured in `HTTP.baseUrls`, else the `href` of the
+     *                               `#base-api-{name}` link tag, else `undefined`.
+     *
+     * @example
+     * // <link id="base-api-pmb" href="https://api.example.ac.id/pmb">
+     * HTTP.baseUrl('pmb'); // 'https://api.example.ac.id/pmb'
+     */
+    static baseUrl(name) {
+        const configured = HTTP.baseUrls[name];
+        if (configured !== undefined && configured !== null) return typeof configured === 'function' ? configured() : configured;
+        if (typeof document === 'undefined') return undefined;
+        return document.getElementById(`base-api-${name}`)?.getAttribute('href') ?? undefined;
+    }
+
+    /**
+     * The PMB API base URL. See `baseUrl`.
+     *
+     * @type {string|undefined}
+     */
+    static get API_PMB() {
+        return HTTP.baseUrl('pmb');
+    }
+
+    static set API_PMB(url) {
+        HTTP.baseUrls.pmb = url;
+    }
+
+    /**
+     * The storage API base URL. See `baseUrl`.
+     *
+     * @type {string|undefined}
+     */
+    static get API_STORAGE() {
+        return HTTP.baseUrl('storage');
+    }
+
+    static set API_STORAGE(url) {
+        HTTP.baseUrls.storage = url;
+    }
+
+    /**
+     * Transports sending the requests of `fetch`.
+     *
+     * A transport is a function `(config, signal)` receiving the request options and an `AbortSignal`.
+     * It resolves with `{ status, body, headers }` for every HTTP response, including 4xx and 5xx statuses
+     * (`body` parsed from JSON when possible, `headers` keyed by lowercase name), and rejects when no response
+     * is received. Encoding the `request` (JSON or `FormData`) is up to the transport.
+     *
+     * - `fetch`: Uses `globalThis.fetch` (the default), so it also runs in Web Workers and Node 18+. `GET` and `HEAD` requests send `request` as query parameters.
+     * - `jquery`: Uses `$.ajax`, like previous versions.
+     *
+     * @type {Object<string, Function>}
+     *
+     * @example
+     * // Record the requests in tests
+     * HTTP.transports.memory = async (config) => ({ status: 200, body: { status: 'success', data: config.request }, headers: {} });
+     * HTTP.transport = 'memory';
+     */
+    static transports = {
+        fetch: async ({ method, url, request = {}, headers = {}, useFormData = false }, signal) => {
+            const verb = String(method).toUpperCase();
+            const hasBody = verb !== 'GET' && verb !== 'HEAD';
+            const isEmpty = !useFormData && Object.keys(request).length === 0;
+            const query = !hasBody && !useFormData && !isEmpty ? (url.includes('?') ? '&' : '?') + new URLSearchParams(request) : '';
+            const sendsJson = hasBody && !useFormData && !isEmpty;
+
+            const response = await globalThis.fetch(url + query, {
+                method: verb,
+                headers: { Accept: 'application/json', ...(sendsJson && { 'Content-Type': 'application/json' }), ...headers },
+                body: sendsJson ? JSON.stringify(request) : (hasBody && useFormData ? request : undefined),
+                signal
+            });
+            return { status: response.status, body: HTTP.#parseBody(await response.text()), headers: Object.fromEntries(response.headers.entries()) };
+        },
+        jquery: ({ method, url, request = {}, headers = {}, useFormData = false }, signal) => new Promise((resolve, reject) => {
+            const abort = () => xhr.abort();
+            const settle = (callback) => (...args) => {
+                signal?.removeEventListener('abort', abort);
+                callback(...args);
+            };
+            const respond = (xhr, body) => resolve({ status: xhr.status, body, headers: HTTP.#parseHeaders(xhr.getAllResponseHeaders?.() ?? '') });
+            const xhr = $.ajax({
+                url: url,
+                data: useFormData ? request : (Object.keys(request).length !== 0 ? JSON.stringify(request) : {}),
+                dataType: 'json',
+                type: method,
+                contentType: useFormData ? false : 'application/json',
+                headers,
+                ...(useFormData && { enctype: 'multipart/form-data' }),
+                ...(useFormData && { processData: false }),
+                ...(useFormData && { contentType: false }),
+                ...(useFormData && { async: true }),
+                ...(useFormData && { cache: false }),
+                success: settle((body, textStatus, xhr) => respond(xhr, body)),
+                error: settle(xhr => xhr.status === 0 ? reject(xhr) : respond(xhr, xhr.responseJSON ?? HTTP.#parseBody(xhr.responseText)))
+            });
+            signal?.addEventListener('abort', abort, { once: true });
+        })
+    };
+
+    /**
+     * The transport used by `fetch`: the name of an entry of `HTTP.transports`, or a transport function.
+     * Overridden per request with the `transport` option.
+     *
+     * @type {string|Function}
+     *
+     * @example
+     * // Keep using $.ajax (e.g. for jQuery `ajaxSetup` or `ajaxSend` handlers)
+     * HTTP.transport = 'jquery';
      */
-    static API_PMB = $('#base-api-pmb').attr('href');
-    static API_STORAGE = $('#base-api-storage').attr('href');
+    static transport = 'fetch';
+
+    /**
+     * Interceptors run by every `fetch` call, in array order.
+     *
+     * - `request(config)`: Receives the request options and returns the options to send (or nothing to keep them).
+     *   Use it to add headers such as `Authorization`, `Accept-Language` or a correlation ID.
+     * - `response(response, config)`: Receives the successful response body and returns the body to resolve with
+     *   (or nothing to keep it).
+     * - `error(error, config)`: Receives the error of a failed request. Return a value to resolve the request with it,
+     *   throw to replace the error, or return nothing to pass the error to the next interceptor.
+     *
+     * Interceptors may be asynchronous. Use `intercept` to register them together and remove them later.
+     *
+     * @type {{request: Function[], response: Function[], error: Function[]}}
+     *
+     * @example
+     * HTTP.interceptors.request.push((config) => ({
+     *   ...config,
+     *   headers: { ...config.headers, Authorization: `Bearer ${localStorage.getItem('token')}` }
+     * }));
+     */
+    static interceptors = {
+        request: [],
+        response: [],
+        error: []
+    };
+
+    /**
+     * The default time limit of `fetch` requests in milliseconds, retries included. `0` disables the time limit.
+     * Overridden per request with the `timeout` option.
+     *
+     * @type {number}
+     *
+     * @example
+     * HTTP.timeout = 15000;
+     */
+    static timeout = 0;
+
+    /**
+     * The controllers of the in-flight requests sent with a `supersede` key, keyed by that key.
+     *
+     * @private
+     */
+    static #inFlight = new Map();
+
+    /**
+     * The default retry policy of `fetch`, overridden per request with the `retry` option.
+     *
+     * - `attempts`: The maximum number of attempts, including the first one.
+     * - `methods`: The methods that are retried. Only idempotent methods are retried by default,
+     *   so a `POST` is never sent twice unless you allow it.
+     * - `statuses`: The HTTP statuses that are retried. Network failures (no response) are always retried.
+     * - `delay`: The base delay in milliseconds. The delay doubles after each attempt, with a random jitter.
+     * - `maxDelay`: The maximum delay in milliseconds. A `Retry-After` header asking for a longer delay stops the retries.
+     * - `onRetry({ attempt, delay, error, config })`: Called before each retry, e.g. to report it.
+     *
+     * @type {{attempts: number, methods: string[], statuses: number[], delay: number, maxDelay: number, onRetry: Function|null}}
+     *
+     * @example
+     * HTTP.retry.attempts = 5;
+     * HTTP.retry.onRetry = ({ attempt, delay, config }) => console.warn(`Retry ${attempt} of ${config.url} in ${delay} ms`);
+     */
+    static retry = {
+        attempts: 3,
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        statuses: [408, 429, 500, 502, 503, 504],
+        delay: 300,
+        maxDelay: 10000,
+        onRetry: null
+    };
+
+    /**
+     * Registers a set of interceptors, appended after the existing ones.
+     *
+     * @param {Object} interceptors - The interceptors to register.
+     * @param {Function} [interceptors.request] - A request interceptor, see `HTTP.interceptors`.
+     * @param {Function} [interceptors.response] - A response interceptor, see `HTTP.interceptors`.
+     * @param {Function} [interceptors.error] - An error interceptor, see `HTTP.interceptors`.
+     *
+     * @returns {Function} - A function removing the registered interceptors.
+     *
+     * @example
+     * // Configured once per app
+     * HTTP.intercept({
+     *   request: (config) => {
+     *     config.headers = { ...config.headers, 'Accept-Language': 'id', 'X-Correlation-ID': crypto.randomUUID() };
+     *   },
+     *   error: (error) => {
+     *     if (error.status === 401) window.location.href = '/login';
+     *   }
+     * });
+     *
+     * @example
+     * // Temporary interceptor
+     * const eject = HTTP.intercept({ response: (response, config) => console.log(config.url, response) });
+     * eject();
+     */
+    static intercept({ request = null, response = null, error = null } = {}) {
+        const registered = Object.entries({ request, response, error }).filter(([, interceptor]) => interceptor !== null);
+        registered.forEach(([type, interceptor]) => HTTP.interceptors[type].push(interceptor));
+
+        return () => registered.forEach(([type, interceptor]) => {
+            const index = HTTP.interceptors[type].indexOf(interceptor);
+            if (index !== -1) HTTP.interceptors[type].splice(index, 1);
+        });
+    }
 
     /**
      * Makes an HTTP request.
      *
+     * The request options go through the request interceptors before being sent, the response body through the
+     * response interceptors, and any failure through the error interceptors (see `HTTP.interceptors`).
+     * Network failures and transient server errors of idempotent requests are retried first (see `HTTP.retry`).
+     *
      * @param {Object} options - The configuration options for the HTTP request.
      * @param {string} options.method - HTTP method (GET, POST, PUT, DELETE).
      * @param {string} options.url - The endpoint URL for the request.
@@ -16,9 +252,23 @@ class HTTP {
      * @param {Object} [options.headers={}] - Additional headers for the request.
      * @param {string} [options.errorMessage=""] - A custom error message to display on failure.
      * @param {boolean} [options.useFormData=false] - Whether the request should use FormData.
+     * @param {Object|boolean} [options.retry={}] - Overrides of the retry policy (see `HTTP.retry`), or `false` to disable retries.
+     * @param {number} [options.timeout=HTTP.timeout] - The time limit of the request in milliseconds, retries included.
+     *                                                  `0` disables the time limit.
+     * @param {AbortSignal|null} [options.signal=null] - Cancels the request when aborted.
+     * @param {string|null} [options.supersede=null] - Cancels the in-flight request sent with the same key,
+     *                                                 e.g. the previous request of a search-as-you-type field.
+     * @param {string|Function} [options.transport=HTTP.transport] - The transport sending the request (see `HTTP.transports`).
      *
      * @returns {Promise<Object>} - The response object from the server.
-     * @throws {Error} - Throws an error if the request fails or returns an error response.
+     * @throws {ValidationError} - Throws a server-side `ValidationError` if the failed response contains field errors
+     *                             (e.g. a 422 response with `errors: { email: ['Email sudah terdaftar.'] }`).
+     * @throws {NetworkError} - Throws a `NetworkError` if no response is received.
+     * @throws {ClientError} - Throws a `ClientError` if the server answers with a 4xx status.
+     * @throws {ServerError} - Throws a `ServerError` if the server answers with a 5xx status.
+     * @throws {ApiError} - Throws an `ApiError` if the response body has `status: 'failed'` or `status: 'error'`.
+     * @throws {TimeoutError} - Throws a `TimeoutError` if the request takes longer than its `timeout`.
+     * @throws {AbortError} - Throws an `AbortError` if the request is cancelled through its `signal` or superseded.
      *
      * @example
      * // Example 1: POST Request with JSON Body
@@ -41,45 +291,310 @@ class HTTP {
      *   useFormData: true,
      *   errorMessage: 'Failed to upload file.',
      * });
+     *
+     * @example
+     * // Example 3: Retry a payment callback, which is safe to send twice
+     * const response = await HTTP.fetch({
+     *   method: 'POST',
+     *   url: '/api/payments/callback',
+     *   request: { invoice: 'INV-001' },
+     *   retry: { methods: ['POST'], attempts: 5 },
+     * });
+     *
+     * @example
+     * // Example 4: Search as you type, cancelling the previous search
+     * $('#search').on('input', async (event) => {
+     *   try {
+     *     const response = await HTTP.fetch({ method: 'GET', url: `/api/students?q=${event.target.value}`, supersede: 'student-search', timeout: 5000 });
+     *     renderResults(response.data);
+     *   } catch (error) {
+     *     if (!(error instanceof AbortError)) throw error;
+     *   }
+     * });
      */
-    static async fetch({ method, url, request = {}, headers = {}, errorMessage = '', useFormData = false }) {
-        const response = await new Promise((resolve, reject) => {
-            $.ajax({
-                url: url,
-                data: useFormData ? request : (Object.keys(request).length !== 0 ? JSON.stringify(request) : {}),
-                dataType: 'json',
-                type: method,
-                contentType: useFormData ? false : 'application/json',
-                headers,
-                ...(useFormData && { enctype: 'multipart/form-data' }),
-                ...(useFormData && { processData: false }),
-                ...(useFormData && { contentType: false }),
-                ...(useFormData && { async: true }),
-                ...(useFormData && { cache: false }),
-                success: response => resolve(response),
-                error: response => reject(response)
-            });
-        });
-        HTTP.checkErrorResponses(response, errorMessage);
-        return response;
+    static async fetch({ method, url, request = {}, headers = {}, errorMessage = '', useFormData = false, retry = {}, timeout = HTTP.timeout, signal = null, supersede = null, transport = HTTP.transport }) {
+        let config = { method, url, request, headers, errorMessage, useFormData, retry, timeout, signal, supersede, transport };
+        for (const interceptor of HTTP.interceptors.request) {
+            config = (await interceptor(config)) ?? config;
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort(config.signal.reason);
+        const timer = config.timeout > 0 ? setTimeout(() => controller.abort('timeout'), config.timeout) : null;
+        config.signal?.aborted ? abort() : config.signal?.addEventListener('abort', abort, { once: true });
+        if (config.supersede !== null) {
+            HTTP.#inFlight.get(config.supersede)?.abort('superseded');
+            HTTP.#inFlight.set(config.supersede, controller);
+        }
+
+        try {
+            let response = await HTTP.#sendWithRetry(config, controller.signal);
+            HTTP.checkErrorResponses(response, config.errorMessage, config);
+            for (const interceptor of HTTP.interceptors.response) {
+                response = (await interceptor(response, config)) ?? response;
+            }
+            return response;
+        } catch (error) {
+            return HTTP.#handleError(controller.signal.aborted ? HTTP.#toAbortError(controller.signal.reason, config, error) : error, config);
+        } finally {
+            clearTimeout(timer);
+            config.signal?.removeEventListener('abort', abort);
+            if (HTTP.#inFlight.get(config.supersede) === controller) HTTP.#inFlight.delete(config.supersede);
+        }
+    }
+
+    /**
+     * Private method: Sends a request through its transport.
+     *
+     * @param {Object} config - The request options, as passed to `fetch`.
+     * @param {AbortSignal} [signal] - Aborts the request.
+     *
+     * @returns {Promise<*>} - The body of a successful (2xx) response.
+     *
+     * @throws {ValidationError} - If the failed response contains field errors.
+     * @throws {HttpError} - If no response is received or the response has an error status.
+     * @throws {*} - The abort reason of the signal, if the request is aborted.
+     *
+     * @private
+     */
+    static async #send(config, signal) {
+        const { method, url, errorMessage = '' } = config;
+        if (signal?.aborted) throw signal.reason;
+
+        const transport = HTTP.#transportOf(config);
+        let response;
+        try {
+            response = await transport(config, signal);
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            throw new NetworkError(undefined, { method, url, cause: error });
+        }
+
+        if (response.status >= 200 && response.status < 300) return response.body;
+        throw HTTP.toValidationError(response.body, errorMessage) ?? HttpError.fromResponse({ ...response, method, url, errorMessage });
+    }
+
+    /**
+     * Private method: Gets the transport of a request.
+     *
+     * @param {Object} config - The request options.
+     *
+     * @returns {Function} - The transport.
+     *
+     * @throws {Error} - If the transport name is not registered in `HTTP.transports`.
+     *
+     * @private
+     */
+    static #transportOf(config) {
+        const transport = config.transport ?? HTTP.transport;
+        if (typeof transport === 'function') return transport;
+        if (!HTTP.transports[transport]) throw new Error(`Transport HTTP "${transport}" tidak dikenali.`);
+        return HTTP.transports[transport];
+    }
+
+    /**
+     * Private method: Sends a request, retrying it according to the retry policy.
+     *
+     * @param {Object} config - The request options, as passed to `fetch`.
+     * @param {AbortSignal} signal - Aborts the request, including the wait before the next attempt.
+     *
+     * @returns {Promise<Object>} - The response body.
+     *
+     * @throws {*} - The error of the last attempt.
+     *
+     * @private
+     */
+    static async #sendWithRetry(config, signal) {
+        const policy = config.retry === false ? { ...HTTP.retry, attempts: 1 } : { ...HTTP.retry, ...config.retry };
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await HTTP.#send(config, signal);
+            } catch (error) {
+                const delay = HTTP.#retryDelay(error, config, policy, attempt);
+                if (delay === null || signal.aborted) throw error;
+
+                await policy.onRetry?.({ attempt, delay, error, config });
+                await new Promise((resolve, reject) => {
+                    const abort = () => {
+                        clearTimeout(timer);
+                        reject(signal.reason);
+                    };
+                    const timer = setTimeout(() => {
+                        signal.removeEventListener('abort', abort);
+                        resolve();
+                    }, delay);
+                    signal.addEventListener('abort', abort, { once: true });
+                });
+            }
+        }
+    }
+
+    /**
+     * Private method: Creates the error of an aborted request.
+     *
+     * @param {*} reason - The abort reason (`timeout`, `superseded`, or the reason of the caller's signal).
+     * @param {Object} config - The request options.
+     * @param {*} cause - The error raised by the aborted request.
+     *
+     * @returns {TimeoutError|AbortError}
+     *
+     * @private
+     */
+    static #toAbortError(reason, config, cause) {
+        const details = { method: config.method, url: config.url, cause };
+        return reason === 'timeout'
+            ? new TimeoutError(undefined, { ...details, timeout: config.timeout })
+            : new AbortError(undefined, { ...details, reason });
+    }
+
+    /**
+     * Private method: Computes the delay before retrying a failed attempt.
+     *
+     * @param {*} error - The error of the attempt.
+     * @param {Object} config - The request options.
+     * @param {Object} policy - The retry policy.
+     * @param {number} attempt - The number of the failed attempt, starting at 1.
+     *
+     * @returns {number|null} - The delay in milliseconds, or `null` if the request must not be retried.
+     *
+     * @private
+     */
+    static #retryDelay(error, config, policy, attempt) {
+        const isTransient = error instanceof NetworkError
+            || ((error instanceof ClientError || error instanceof ServerError) && policy.statuses.includes(error.status));
+        if (attempt >= policy.attempts || !policy.methods.includes(String(config.method).toUpperCase()) || !isTransient) return null;
+
+        const retryAfter = HTTP.#parseRetryAfter(error.headers['retry-after']);
+        if (retryAfter !== null) return retryAfter <= policy.maxDelay ? retryAfter : null;
+
+        return Math.round(Math.random() * Math.min(policy.maxDelay, policy.delay * 2 ** (attempt - 1)));
+    }
+
+    /**
+     * Private method: Parses a `Retry-After` header.
+     *
+     * @param {string|null|undefined} header - The header value, in seconds (e.g. `120`) or as an HTTP date.
+     *
+     * @returns {number|null} - The delay in milliseconds, or `null` if the header is missing or invalid.
+     *
+     * @private
+     */
+    static #parseRetryAfter(header) {
+        if (header === null || header === undefined || String(header).trim() === '') return null;
+        if (/^\d+$/.test(String(header).trim())) return Number(header) * 1000;
+
+        const date = Date.parse(header);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Private method: Parses a response body that jQuery did not parse as JSON.
+     *
+     * @param {string|undefined} text - The response text.
+     *
+     * @returns {*} - The parsed JSON, the text if it is not JSON, or `null` if there is no body.
+     *
+     * @private
+     */
+    static #parseBody(text) {
+        if (text === undefined || text === '') return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Private method: Parses raw response headers.
+     *
+     * @param {string} raw - The headers, one `Name: value` pair per line.
+     *
+     * @returns {Object<string, string>} - The headers, keyed by lowercase name.
+     *
+     * @private
+     */
+    static #parseHeaders(raw) {
+        return Object.fromEntries(raw.split(/\r?\n/).filter(line => line.includes(':')).map(line => {
+            const separator = line.indexOf(':');
+            return [line.substring(0, separator).trim().toLowerCase(), line.substring(separator + 1).trim()];
+        }));
+    }
+
+    /**
+     * Private method: Passes an error through the error interceptors.
+     *
+     * @param {*} error - The error of the failed request.
+     * @param {Object} config - The request options.
+     *
+     * @returns {Promise<*>} - The value returned by the first interceptor recovering from the error.
+     *
+     * @throws {*} - The error, or the error thrown by the last interceptor, if no interceptor recovers from it.
+     *
+     * @private
+     */
+    static async #handleError(error, config) {
+        for (const interceptor of HTTP.interceptors.error) {
+            try {
+                const result = await interceptor(error, config);
+                if (result !== undefined) return result;
+            } catch (thrown) {
+                error = thrown;
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Converts a response body containing field errors into a server-side `ValidationError`.
+     *
+     * @param {Object} response - The parsed response body.
+     * @param {string} [errorMessage=""] - A custom error message. Defaults to the response message.
+     *
+     * @returns {ValidationError|null} - The validation error, or `null` if the response has no field errors.
+     *
+     * @example
+     * HTTP.toValidationError({ message: 'Data tidak valid.', errors: { email: ['Email sudah terdaftar.'] } });
+     * // ValidationError { source: 'server', errors: { email: ['Email sudah terdaftar.'] } }
+     */
+    static toValidationError(response, errorMessage = '') {
+        return ValidationError.hasFieldErrors(response) ? ValidationError.fromResponse(response, errorMessage) : null;
     }
 
     /**
      * Checks for error responses from the server.
      *
+     * Failed responses containing an `errors` object are treated as field errors and throw a `ValidationError`,
+     * which can be rendered on the form with `Validator.showServerErrors`.
+     *
+     * Other failed responses throw an `ApiError`, whose message comes from `errorMessage`, then from the
+     * `exception.message` of the response (see `HttpError.fromResponse`).
+     *
      * @param {Object} response - The response object from the server.
      * @param {string} [errorMessage=""] - A custom error message to display on failure.
+     * @param {Object} [request={}] - The request, recorded in the `ApiError`.
+     * @param {string|null} [request.method=null] - The request method.
+     * @param {string|null} [request.url=null] - The request URL.
+     *
+     * @throws {ValidationError} - Throws a server-side `ValidationError` if the response contains field errors.
+     * @throws {ApiError} - Throws an `ApiError` with the appropriate error message.
      *
-     * @throws {Error} - Throws an error with the appropriate error message.
+     * @example
+     * // Response: { status: 'failed', exception: { message: 'Data tidak valid.' }, errors: { email: ['Email sudah terdaftar.'] } }
+     * try {
+     *   HTTP.checkErrorResponses(response);
+     * } catch (error) {
+     *   if (error instanceof ValidationError) validator.showServerErrors(error, $('#registrationForm'));
+     * }
      */
-    static checkErrorResponses(response, errorMessage = '') {
-        if (response.status === 'failed' || response.status === 'error') {
-            if (errorMessage === '') {
-                throw new Error(response.exception?.message || 'An unknown error occurred.');
-            } else {
-                throw new Error(errorMessage);
-            }
+    static checkErrorResponses(response, errorMessage = '', { method = null, url = null } = {}) {
+        if (response?.status === 'failed' || response?.status === 'error') {
+            throw HTTP.toValidationError(response, errorMessage) ?? HttpError.fromResponse({ status: 200, body: response, method, url, errorMessage });
         }
     }
 
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTTP;
+}
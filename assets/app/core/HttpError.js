@@ -0,0 +1,283 @@
+/**
+ * HttpError Classes
+ *
+ * Every failure of `HTTP.fetch`, except field errors (see `ValidationError`), is thrown as an `HttpError`,
+ * so callers handle a single shape:
+ * - `NetworkError`: No response was received (offline, DNS failure, CORS, ...).
+ * - `ClientError`: The server answered with a 4xx status.
+ * - `ServerError`: The server answered with a 5xx status.
+ * - `ApiError`: The server answered successfully, but the body has `status: 'failed'` or `status: 'error'`.
+ * - `TimeoutError`: The request took longer than its `timeout`.
+ * - `AbortError`: The request was cancelled through its `signal`, or superseded by a newer request.
+ *
+ * Each error carries the HTTP `status`, the parsed response `body`, its `exception` object, the request `method`
+ * and `url`, and a user-facing message in Indonesian and English (`messages`). The `message` of the error uses
+ * `HttpError.locale`.
+ *
+ * @example
+ * try {
+ *   await HTTP.fetch({ method: 'GET', url: '/api/students/1', timeout: 5000 });
+ * } catch (error) {
+ *   if (error instanceof ClientError && error.status === 404) {
+ *     SAT.Swal.FireError({ message: error.localizedMessage('id') });
+ *   } else if (error instanceof NetworkError || error instanceof TimeoutError) {
+ *     console.log('Offline or too slow:', error.method, error.url);
+ *   } else if (error instanceof AbortError) {
+ *     // Ignore cancelled requests
+ *   }
+ * }
+ */
+class HttpError extends Error {
+
+    /**
+     * The locale of the `message` of new errors (`id` or `en`).
+     *
+     * @type {string}
+     */
+    static locale = 'id';
+
+    /**
+     * Default user-facing messages, keyed by locale and then by HTTP status or error kind.
+     *
+     * @type {Object<string, Object<string, string>>}
+     *
+     * @example
+     * HttpError.messages.id[401] = 'Silakan login kembali.';
+     */
+    static messages = {
+        id: {
+            http: 'Permintaan gagal.',
+            network: 'Tidak dapat terhubung ke server. Periksa koneksi internet Anda.',
+            client: 'Permintaan tidak dapat diproses.',
+            server: 'Terjadi kesalahan pada server. Silakan coba lagi nanti.',
+            api: 'Terjadi kesalahan yang tidak diketahui.',
+            timeout: 'Permintaan melebihi batas waktu.',
+            abort: 'Permintaan dibatalkan.',
+            401: 'Sesi Anda telah berakhir. Silakan login kembali.',
+            403: 'Anda tidak memiliki akses ke data ini.',
+            404: 'Data tidak ditemukan.',
+            429: 'Terlalu banyak permintaan. Silakan coba lagi nanti.'
+        },
+        en: {
+            http: 'The request failed.',
+            network: 'Unable to reach the server. Check your internet connection.',
+            client: 'The request could not be processed.',
+            server: 'A server error occurred. Please try again later.',
+            api: 'An unknown error occurred.',
+            timeout: 'The request timed out.',
+            abort: 'The request was cancelled.',
+            401: 'Your session has expired. Please log in again.',
+            403: 'You do not have access to this data.',
+            404: 'The data was not found.',
+            429: 'Too many requests. Please try again later.'
+        }
+    };
+
+    /**
+     * The key of the default message of this class in `HttpError.messages`.
+     *
+     * @type {string}
+     */
+    static kind = 'http';
+
+    /**
+     * Creates a new `HttpError`.
+     *
+     * @param {string} [message] - The error message, used in every locale. Defaults to the message of the status
+     *                             or of the error class in `HttpError.messages`.
+     * @param {Object} [options={}] - The error details.
+     * @param {number|null} [options.status=null] - The HTTP status (`0` when no response was received).
+     * @param {*} [options.body=null] - The parsed response body.
+     * @param {Object<string, string>} [options.headers={}] - The response headers, with lowercase names.
+     * @param {string|null} [options.method=null] - The request method.
+     * @param {string|null} [options.url=null] - The request URL.
+     * @param {{id: string, en: string}} [options.messages] - The message in each locale, overriding `message`.
+     * @param {*} [options.cause] - The underlying error (e.g. the jqXHR of the failed request).
+     *
+     * @example
+     * throw new HttpError('Permintaan gagal.', { method: 'GET', url: '/api/students' });
+     */
+    constructor(message = undefined, { status = null, body = null, headers = {}, method = null, url = null, messages = undefined, cause = undefined } = {}) {
+        const defaults = (locale) => HttpError.messages[locale]?.[status] ?? HttpError.messages[locale]?.[new.target.kind] ?? HttpError.messages.id.http;
+        const localized = messages ?? (message !== undefined ? { id: message, en: message } : { id: defaults('id'), en: defaults('en') });
+
+        super(localized[HttpError.locale] ?? localized.id, cause !== undefined ? { cause } : undefined);
+        this.name = 'HttpError';
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+        this.method = method;
+        this.url = url;
+        this.messages = localized;
+    }
+
+    /**
+     * The `exception` object of the response body, e.g. `{ message: 'Data tidak valid.' }`.
+     *
+     * @returns {Object|null}
+     */
+    get exception() {
+        return this.body?.exception ?? null;
+    }
+
+    /**
+     * Gets the user-facing message in a locale.
+     *
+     * @param {string} [locale=HttpError.locale] - The locale (`id` or `en`).
+     *
+     * @returns {string} - The message, falling back to Indonesian.
+     *
+     * @example
+     * error.localizedMessage('en'); // 'The data was not found.'
+     */
+    localizedMessage(locale = HttpError.locale) {
+        return this.messages[locale] ?? this.messages.id;
+    }
+
+    /**
+     * Creates the error matching a failed response: `NetworkError` for status `0`, `ServerError` for 5xx,
+     * `ClientError` for 4xx, and `ApiError` for successful responses with a failed body.
+     *
+     * The message comes from `errorMessage`, then from the `messages` (`{ id, en }`), `exception.message` or
+     * `message` of the body, then from `HttpError.messages`.
+     *
+     * @param {Object} response - The failed response.
+     * @param {number} response.status - The HTTP status.
+     * @param {*} [response.body=null] - The parsed response body.
+     * @param {Object<string, string>} [response.headers={}] - The response headers, with lowercase names.
+     * @param {string|null} [response.method=null] - The request method.
+     * @param {string|null} [response.url=null] - The request URL.
+     * @param {string} [response.errorMessage=""] - A custom error message, used in every locale.
+     * @param {*} [response.cause] - The underlying error.
+     *
+     * @returns {HttpError}
+     *
+     * @example
+     * HttpError.fromResponse({ status: 404, body: { status: 'failed', exception: { message: 'Mahasiswa tidak ditemukan.' } } });
+     * // ClientError { status: 404, message: 'Mahasiswa tidak ditemukan.' }
+     */
+    static fromResponse({ status, body = null, headers = {}, method = null, url = null, errorMessage = '', cause = undefined }) {
+        const ErrorClass = status === 0 ? NetworkError : status >= 500 ? ServerError : status >= 400 ? ClientError : ApiError;
+        const isObject = body !== null && typeof body === 'object';
+        const serverMessage = isObject ? (body.exception?.message || body.message || null) : null;
+
+        let messages;
+        if (errorMessage !== '') {
+            messages = { id: errorMessage, en: errorMessage };
+        } else if (isObject && typeof body.messages?.id === 'string') {
+            messages = { id: body.messages.id, en: body.messages.en ?? body.messages.id };
+        } else if (typeof serverMessage === 'string' && status !== 0) {
+            messages = { id: serverMessage, en: serverMessage };
+        }
+
+        return new ErrorClass(undefined, { status, body, headers, method, url, messages, cause });
+    }
+
+}
+
+class NetworkError extends HttpError {
+
+    static kind = 'network';
+
+    /**
+     * Creates a new `NetworkError`. See `HttpError` for the parameters.
+     */
+    constructor(message = undefined, options = {}) {
+        super(message, { status: 0, ...options });
+        this.name = 'NetworkError';
+    }
+
+}
+
+class ClientError extends HttpError {
+
+    static kind = 'client';
+
+    /**
+     * Creates a new `ClientError`. See `HttpError` for the parameters.
+     */
+    constructor(message = undefined, options = {}) {
+        super(message, options);
+        this.name = 'ClientError';
+    }
+
+}
+
+class ServerError extends HttpError {
+
+    static kind = 'server';
+
+    /**
+     * Creates a new `ServerError`. See `HttpError` for the parameters.
+     */
+    constructor(message = undefined, options = {}) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+
+}
+
+class ApiError extends HttpError {
+
+    static kind = 'api';
+
+    /**
+     * Creates a new `ApiError`. See `HttpError` for the parameters.
+     */
+    constructor(message = undefined, options = {}) {
+        super(message, options);
+        this.name = 'ApiError';
+    }
+
+}
+
+class TimeoutError extends HttpError {
+
+    static kind = 'timeout';
+
+    /**
+     * Creates a new `TimeoutError`.
+     *
+     * @param {string} [message] - The error message. Defaults to `HttpError.messages[locale].timeout`.
+     * @param {Object} [options={}] - The error details, as in `HttpError`.
+     * @param {number} [options.timeout=0] - The time limit of the request, in milliseconds.
+     */
+    constructor(message = undefined, { timeout = 0, ...options } = {}) {
+        super(message, options);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+
+}
+
+class AbortError extends HttpError {
+
+    static kind = 'abort';
+
+    /**
+     * Creates a new `AbortError`.
+     *
+     * @param {string} [message] - The error message. Defaults to `HttpError.messages[locale].abort`.
+     * @param {Object} [options={}] - The error details, as in `HttpError`.
+     * @param {*} [options.reason] - The abort reason (`superseded` when a newer request replaced this one).
+     */
+    constructor(message = undefined, { reason = undefined, ...options } = {}) {
+        super(message, options);
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+
+    /**
+     * Whether the request was cancelled because a newer request with the same `supersede` key was sent.
+     *
+     * @returns {boolean}
+     */
+    get superseded() {
+        return this.reason === 'superseded';
+    }
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HttpError, NetworkError, ClientError, ServerError, ApiError, TimeoutError, AbortError };
+}
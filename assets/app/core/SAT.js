@@ -86,22 +86,26 @@ class SAT {
 
         /**
          * Formats a number to Indonesian currency.
-         * @param {number|string} price - The price to format.
+         * Formatted strings are accepted too, so `SAT.Parse.ToNumber` and this method round-trip.
+         * @param {number|string} price - The price to format (e.g., 1000000, "1000000" or "1.000.000").
          * @param {string} locale - Locale for currency formatting (default: 'id-ID').
          * @returns {string} - Formatted price (e.g., "1.000.000").
          */
         ToPrice: function (price, locale = 'id-ID') {
-            return parseInt(price).toLocaleString(locale);
+            return Math.trunc(SAT.Parse.ToNumber(price)).toLocaleString(locale);
         },
 
         /**
          * Formats a phone number to an Indonesian standard format.
-         * @param {string} phoneNumber - The phone number to format.
-         * @returns {string} - Formatted phone number (e.g., "+62 812-3456-7890").
+         * Mobile numbers are grouped by `SAT.Phone.Format`, and landline numbers are written as "+62" followed by the
+         * national number, so every number accepted by `SAT.Phone.Validate(phoneNumber, { landline: true })`
+         * (and by the `phoneNumber` rule of `Validator`) is formatted.
+         * @param {string} phoneNumber - The phone number to format (e.g., "0812 3456 7890", "(021) 555-1234").
+         * @returns {string} - Formatted phone number (e.g., "+62 812-3456-7890", "+62 215551234"), or the input if it is not valid.
          */
         ToPhoneNumber: function (phoneNumber) {
-            let formattedNumber = phoneNumber.replace(/^0/, '+62 ');
-            return formattedNumber.replace(/(\d{3})(\d{4})(\d{4})$/, '$1-$2-$3');
+            if (!SAT.Phone.Validate(phoneNumber, { landline: true })) return phoneNumber;
+            return SAT.Phone.Format(phoneNumber) ?? SAT.Phone.Normalize(phoneNumber, { landline: true }).replace(/^\+62/, '+62 ');
         },
 
         /**
@@ -182,6 +186,36 @@ class SAT {
             return `${year}-${this._padZero(month)}-${this._padZero(day)} ${this._padZero(hour)}:${this._padZero(minute)}:00`;
         },
 
+        /**
+         * Converts a formatted number to a number.
+         * Accepts Indonesian formatting ("." thousands separator, "," decimal separator), as produced by
+         * `SAT.Format.ToPrice`, with an optional "Rp" prefix. Plain numbers such as "1500.75" (e.g., the value
+         * of `<input type="number">`) are accepted too, unless they look like thousands groups ("1.500" is 1500).
+         * The numeric rules of `Validator` read their values with this method (see `Validator.parseNumber`).
+         * @param {number|string} value - The value to convert (e.g., "1.000.000", "Rp 1.250,50").
+         * @param {Object} [separators={}] - The separators of the formatted number.
+         * @param {string} [separators.thousands="."] - The thousands separator.
+         * @param {string} [separators.decimal=","] - The decimal separator.
+         * @returns {number} - The number, or NaN if the value is not a number.
+         *
+         * @example
+         * SAT.Parse.ToNumber('1.000.000');    // 1000000
+         * SAT.Parse.ToNumber('Rp 1.250,50');  // 1250.5
+         * SAT.Parse.ToNumber('1500.75');      // 1500.75
+         * SAT.Parse.ToNumber('1,000.5', { thousands: ',', decimal: '.' }); // 1000.5
+         * SAT.Parse.ToNumber('abc');          // NaN
+         */
+        ToNumber: function (value, { thousands = '.', decimal = ',' } = {}) {
+            if (typeof value === 'number') return value;
+
+            const text = String(value ?? '').trim().replace(/^Rp\.?\s*/i, '').replace(/\s/g, '');
+            const escape = (separator) => separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const formatted = new RegExp(`^[-+]?(\\d{1,3}(${escape(thousands)}\\d{3})+|\\d+)(${escape(decimal)}\\d+)?$`);
+
+            if (formatted.test(text)) return parseFloat(text.split(thousands).join('').replace(decimal, '.'));
+            return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+        },
+
         /**
          * Converts a month name to its number.
          * @private
@@ -208,6 +242,100 @@ class SAT {
 
     };
 
+    static Phone = {
+
+        /**
+         * Mobile operator prefixes, following the leading 0 of a national number (e.g., "812" for "0812").
+         * The `mobileNumber` rule of `Validator` uses them too.
+         * @type {Object<string, string[]>}
+         */
+        OPERATORS: {
+            'Telkomsel': ['811', '812', '813', '821', '822', '823', '851', '852', '853'],
+            'Indosat': ['814', '815', '816', '855', '856', '857', '858'],
+            'XL': ['817', '818', '819', '859', '877', '878'],
+            'Axis': ['831', '832', '833', '838'],
+            'Tri': ['895', '896', '897', '898', '899'],
+            'Smartfren': ['881', '882', '883', '884', '885', '886', '887', '888', '889']
+        },
+
+        /**
+         * Normalizes an Indonesian mobile number to the E.164 format.
+         * Accepts numbers starting with "08", "8", "628" or "+628", with optional spaces, dots, dashes and parentheses.
+         * @param {string} phoneNumber - The phone number to normalize.
+         * @param {Object} [options={}] - The normalization options.
+         * @param {boolean} [options.landline=false] - Whether to accept landline numbers too (e.g., "021-555-1234").
+         * @returns {string|null} - The E.164 number (e.g., "+6281234567890"), or null if it is not an Indonesian mobile number.
+         *
+         * @example
+         * SAT.Phone.Normalize('0812-3456-7890');    // "+6281234567890"
+         * SAT.Phone.Normalize('+62 812 3456 7890'); // "+6281234567890"
+         * SAT.Phone.Normalize('021-555-1234');      // null
+         * SAT.Phone.Normalize('021-555-1234', { landline: true }); // "+62215551234"
+         */
+        Normalize: function (phoneNumber, { landline = false } = {}) {
+            const compact = String(phoneNumber ?? '').replace(/[\s.()-]/g, '');
+            const match = /^(?:\+?62|0)?(8\d+)$/.exec(compact) ?? (landline ? /^(?:\+?62|0)([1-9]\d*)$/.exec(compact) : null);
+            return match ? `+62${match[1]}` : null;
+        },
+
+        /**
+         * Checks whether a phone number is a valid Indonesian mobile number:
+         * it must normalize, have 9 to 12 digits after the country code, and start with a known operator prefix.
+         * With `landline`, landline numbers with 7 to 11 digits after the country code (area code included) are valid too.
+         * @param {string} phoneNumber - The phone number to check.
+         * @param {Object} [options={}] - The validation options.
+         * @param {boolean} [options.landline=false] - Whether to accept landline numbers too.
+         * @returns {boolean} - True if the number is valid.
+         *
+         * @example
+         * SAT.Phone.Validate('081234567890'); // true
+         * SAT.Phone.Validate('0800123456');   // false (unknown prefix)
+         * SAT.Phone.Validate('(021) 555-1234', { landline: true }); // true
+         */
+        Validate: function (phoneNumber, { landline = false } = {}) {
+            const normalized = this.Normalize(phoneNumber, { landline });
+            if (normalized === null) return false;
+
+            const nationalNumber = normalized.substring(3);
+            if (!nationalNumber.startsWith('8')) return nationalNumber.length >= 7 && nationalNumber.length <= 11;
+            return nationalNumber.length >= 9 && nationalNumber.length <= 12 && this.GetOperator(normalized) !== null;
+        },
+
+        /**
+         * Formats a valid mobile number for display (e.g., "+62 812-3456-7890").
+         * @param {string} phoneNumber - The phone number to format.
+         * @returns {string|null} - The formatted number, or null if it is not valid (see `Validate`).
+         *
+         * @example
+         * SAT.Phone.Format('081234567890'); // "+62 812-3456-7890"
+         * SAT.Phone.Format('08123456789');  // "+62 812-3456-789"
+         * SAT.Phone.Format('08123');        // null
+         */
+        Format: function (phoneNumber) {
+            if (!this.Validate(phoneNumber)) return null;
+
+            const normalized = this.Normalize(phoneNumber);
+            const nationalNumber = normalized.substring(3);
+            const groups = [nationalNumber.substring(0, 3), nationalNumber.substring(3, 7), nationalNumber.substring(7)];
+            return `+62 ${groups.filter(group => group !== '').join('-')}`;
+        },
+
+        /**
+         * Gets the mobile operator of a phone number from its prefix.
+         * @param {string} phoneNumber - The phone number.
+         * @returns {string|null} - The operator name (e.g., "Telkomsel"), or null if unknown.
+         */
+        GetOperator: function (phoneNumber) {
+            const normalized = this.Normalize(phoneNumber);
+            if (normalized === null) return null;
+
+            const prefix = normalized.substring(3, 6);
+            const operator = Object.keys(this.OPERATORS).find(name => this.OPERATORS[name].includes(prefix));
+            return operator ?? null;
+        }
+
+    };
+
     static Element = {
 
         /**
@@ -506,6 +634,8 @@ class SAT {
                 restrictions: { maxDate: (new tempusDominus.DateTime()).endOf('hours') }
             });
             datepicker.dates.formatInput = (date) => { return moment(date).locale('id').format('DD MMMM YYYY') }
+            $(form).data('tempusDominus', datepicker);
+            return datepicker;
         }
 
     };
@@ -651,3 +781,7 @@ class SAT {
     }
 
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SAT;
+}
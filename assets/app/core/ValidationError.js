@@ -0,0 +1,114 @@
+/**
+ * ValidationError Class
+ *
+ * The `ValidationError` class is thrown when a form fails validation, either on the client
+ * (`Validator.throwErrorMessage` and `Validator.validateFields`) or on the server (`HTTP.fetch`).
+ * It carries every failed field, so a single `catch` block can render both kinds of failures.
+ *
+ * @example
+ * try {
+ *   validator.validateFields([...]);
+ *   await HTTP.fetch({ method: 'POST', url: '/api/users', request: data });
+ * } catch (error) {
+ *   if (error instanceof ValidationError) {
+ *     console.log(error.source); // 'client' or 'server'
+ *     console.log(error.count);  // 2
+ *     console.log(error.errors); // { email: ['Email tidak sesuai format'], username: ['Wajib diisi.'] }
+ *   }
+ * }
+ */
+class ValidationError extends Error {
+
+    /**
+     * Creates a new `ValidationError`.
+     *
+     * @param {string} [message="Masih ada form yang belum diisi atau salah."] - The error message.
+     * @param {Object} [options={}] - The error details.
+     * @param {Array<{field: string, rule: string|null, message: string}>} [options.failures=[]] - The failed rules.
+     * @param {string} [options.source="client"] - Where the validation failed (`client` or `server`).
+     *
+     * @example
+     * throw new ValidationError('Form tidak valid.', {
+     *   failures: [{ field: 'email', rule: 'email', message: 'Email tidak sesuai format' }]
+     * });
+     */
+    constructor(message = 'Masih ada form yang belum diisi atau salah.', { failures = [], source = 'client' } = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.failures = failures;
+        this.source = source;
+    }
+
+    /**
+     * The number of failed rules.
+     *
+     * @returns {number}
+     */
+    get count() {
+        return this.failures.length;
+    }
+
+    /**
+     * The error messages grouped by field.
+     *
+     * @returns {Object<string, string[]>} - e.g. `{ email: ['Email tidak sesuai format'] }`.
+     */
+    get errors() {
+        return this.failures.reduce((errors, { field, message }) => {
+            (errors[field] ??= []).push(message);
+            return errors;
+        }, {});
+    }
+
+    /**
+     * Creates a `ValidationError` from a map of field errors.
+     *
+     * @param {Object<string, string|string[]>} errors - The error messages grouped by field.
+     * @param {string} [message] - The error message.
+     * @param {string} [source="client"] - Where the validation failed (`client` or `server`).
+     *
+     * @returns {ValidationError}
+     *
+     * @example
+     * ValidationError.fromErrors({ email: ['Email sudah terdaftar.'] }, 'Data tidak valid.', 'server');
+     */
+    static fromErrors(errors, message = undefined, source = 'client') {
+        const failures = Object.entries(errors).flatMap(([field, messages]) =>
+            [].concat(messages).map(fieldMessage => ({ field, rule: null, message: fieldMessage }))
+        );
+        return new ValidationError(message, { failures, source });
+    }
+
+    /**
+     * Creates a server-side `ValidationError` from an API response containing field errors.
+     *
+     * The response must contain an `errors` object mapping field names to one or more messages,
+     * e.g. `{ message: 'Data tidak valid.', errors: { email: ['Email sudah terdaftar.'] } }`.
+     *
+     * @param {Object} response - The parsed response body.
+     * @param {string} [message=""] - A custom error message. Defaults to the response message.
+     *
+     * @returns {ValidationError}
+     */
+    static fromResponse(response, message = '') {
+        const responseMessage = message !== '' ? message : (response.exception?.message ?? response.message);
+        return ValidationError.fromErrors(response.errors, responseMessage, 'server');
+    }
+
+    /**
+     * Checks whether an API response contains field errors.
+     *
+     * @param {*} response - The parsed response body.
+     *
+     * @returns {boolean} - `true` if the response has a non-empty `errors` object.
+     */
+    static hasFieldErrors(response) {
+        const errors = response?.errors;
+        return errors !== null && typeof errors === 'object' && !Array.isArray(errors) && Object.keys(errors).length > 0;
+    }
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValidationError;
+}
@@ -85,6 +85,15 @@
  * })();
  * ```
  *
+ * Use `validateFieldsAsync` to run synchronous and asynchronous rules together in one batch:
+ *
+ * ```javascript
+ * await validator.validateFieldsAsync([
+ *   { method: 'required', args: [$('#username')] },
+ *   { method: 'asyncValidation', args: [$('#username'), isUsernameAvailable, 'Username is already taken.'] }
+ * ], { concurrency: 2 });
+ * ```
+ *
  * ### 4. Throw Validation Errors
  * Use `throwErrorMessage` to stop form submission if there are validation errors:
  *
@@ -97,6 +106,7 @@
  *   console.log('Form submitted successfully!');
  * } catch (error) {
  *   console.error(error.message); // Displays the custom error message
+ *   console.error(error.errors);  // Displays the failed fields (`error` is a `ValidationError`)
  * }
  * ```
  *
@@ -135,10 +145,134 @@
  * }
  * ```
  *
+ * ### 7. Schema Validation
+ * Use `validateSchema` to validate a whole form (or a plain data object) against a declarative schema:
+ *
+ * ```javascript
+ * // HTML
+ * <form id="registrationForm">
+ *   <input type="text" name="username" />
+ *   <input type="email" name="email" />
+ * </form>
+ *
+ * // JavaScript
+ * const schema = {
+ *   username: 'required|alphanumeric|maxLength:50',
+ *   email: ['required', 'email', { rule: 'maxLength', args: [100], message: 'Email is too long.' }]
+ * };
+ *
+ * const result = validator.validateSchema(schema, $('#registrationForm'));
+ * if (!result.valid) {
+ *   console.log(result.errors); // { username: ['Wajib diisi.'], ... }
+ * }
+ * ```
+ *
+ * Repeatable groups use wildcard paths, and report their errors by row:
+ *
+ * ```javascript
+ * validator.validateSchema({
+ *   education: 'minRows:1|maxRows:5',
+ *   'education[*].school': 'required|distinct'
+ * }, $('#registrationForm'));
+ * // { 'education.1.school': ['Nilai ini sudah digunakan pada baris lain.'] }
+ * ```
+ *
+ * Use `validateAttributes` to infer the rules from the HTML attributes of the form instead
+ * (`required`, `maxlength`, `min`, `max`, `pattern`, `type="email"` and `data-rule-*`):
+ *
+ * ```javascript
+ * validator.validateAttributes($('#registrationForm'));
+ * ```
+ *
+ * ### 8. Headless Validation
+ * Use the static `check` and `validate` methods to validate plain values or objects without the DOM
+ * (e.g. a JSON payload, a Web Worker or a Node unit test):
+ *
+ * ```javascript
+ * Validator.check('john@example', 'required|email');
+ * // ['Email tidak sesuai format']
+ *
+ * Validator.validate({ name: 'required', email: 'required|email' }, { name: 'John', email: '' });
+ * // { email: ['Wajib diisi.'] }
+ *
+ * // Node
+ * global.moment = require('moment'); // Only needed for the date and time rules
+ * const Validator = require('./Validator');
+ * ```
+ *
+ * ### 9. Live Validation
+ * Enable `live` mode to re-validate each field while the user types (debounced) and when it loses focus.
+ * Call `destroy` to remove the event handlers once the form is gone:
+ *
+ * ```javascript
+ * const validator = new Validator({ live: true, debounce: 300 });
+ * validator.validateSchema({ email: 'required|email' }, $('#registrationForm'));
+ * // Typing in #email now updates its message in place
+ *
+ * validator.destroy();
+ * ```
+ *
+ * ### 10. Conditional Validation
+ * Cross-field rules (`requiredIf`, `requiredUnless`, `requiredWith`, `requiredWithout`, `requiredWhen`, `dateAfter`,
+ * `dateBefore`, `equalTo`) re-validate the field whenever the fields they depend on change.
+ * In schemas, any rule can be made conditional with `when`:
+ *
+ * ```javascript
+ * validator.validateSchema({
+ *   spouseName: [{ rule: 'required', when: { field: 'maritalStatus', in: ['married'] } }],
+ *   endDate: 'dateAfter:startDate',
+ *   email: 'requiredWithout:phone|email'
+ * }, $('#registrationForm'));
+ * ```
+ *
+ * ### 11. Error Summary
+ * Pass a `summary` container to list the failed fields in an accessible `.alert` panel when `throwErrorMessage` fires.
+ * The first invalid field is revealed (collapsed sections and tabs are opened), scrolled into view and focused.
+ * Invalid fields always get `aria-invalid` and an `aria-describedby` link to their message:
+ *
+ * ```javascript
+ * const validator = new Validator({ summary: '#registrationErrors' });
+ * ```
+ *
+ * ### 12. Wizard Validation
+ * Split a multi-step form into steps, validate only the current step before moving forward,
+ * and validate every step before submitting:
+ *
+ * ```javascript
+ * const validator = new Validator().defineSteps($('#registrationForm'), { steps: '[data-step]', schema });
+ * $('#next').on('click', () => validator.nextStep());
+ * $('#registrationForm').on('submit', (e) => validator.validateAllSteps().valid || e.preventDefault());
+ * ```
+ *
+ * ### 13. Localized Messages
+ * Default error messages come from the `Validator.messages` catalog (`id` and `en` bundles).
+ * Pick a locale per instance, override individual messages or register new locales:
+ *
+ * ```javascript
+ * const validator = new Validator({ locale: 'en' });
+ * validator.minLength($('#username'), 5); // 'Must be at least 5 characters.'
+ *
+ * Validator.setMessages('id', { required: '{field} wajib diisi.' });
+ * Validator.addLocale('jv', { required: 'Kudu diisi.' });
+ * ```
+ *
  * ## Notes:
  * - Ensure to include jQuery in your project, as this class uses jQuery for element selection and manipulation.
+ *   The headless `check` and `validate` methods do not need jQuery.
+ * - `throwErrorMessage` and `validateFields` throw a `ValidationError`, so load `ValidationError.js` before this class.
+ * - The numeric rules read formatted numbers such as `1.000.000` with `SAT.Parse.ToNumber`, and the `phoneNumber` and
+ *   `mobileNumber` rules use `SAT.Phone`, so load `SAT.js` for them. Without it, the numeric rules only accept plain
+ *   numbers, `phoneNumber` only checks the characters and `mobileNumber` throws. In Node, `SAT.js` is required automatically.
  * - Some validation methods (e.g., `date`, `datetime`, `time`) rely on the `moment.js` library for date parsing and formatting.
- * - Error messages are dynamically displayed using the `parentClass` and `messageClass` properties. Customize these classes to match your CSS framework.
+ * - The element methods (e.g. `email`, `minLength`) test the value as-is: unlike `validateSchema`, `check` and `validate`,
+ *   they do not skip empty values, so guard optional fields yourself. They also only apply to the field types they are
+ *   meant for (e.g. `minLength` to text, email and password inputs and textareas, `date` to text and date inputs);
+ *   other fields pass. Widgets are always validated.
+ * - select2, Quill and Tempus Dominus fields are supported through `Validator.widgets`. Register an adapter there
+ *   to validate your own components.
+ * - `imageDimensions` and `fileSignature` are asynchronous, like `asyncValidation`, and rely on the `Image`, `URL` and `Blob` browser APIs.
+ * - Error messages are dynamically displayed using the `parentClass` and `messageClass` properties. Customize these classes to match your CSS framework,
+ *   or display the messages in tooltips, toasts or your own markup with `Validator.renderers` (see the `renderer` option and `setRenderer`).
  *
  * ## Compatibility:
  * - Browser: Compatible with modern browsers (Chrome, Firefox, Edge, etc.).
@@ -148,975 +282,4241 @@
 class Validator {
 
     /**
-     * Initializes the `Validator` class.
+     * Rule definitions used by schema validation.
      *
-     * @property {number} errors - A counter for the number of validation errors.
-     *                             Defaults to `0`.
+     * Each rule exposes a `test(value, args, context)` predicate and a `message` key of `Validator.messages`
+     * (or a `message(args, context)` function returning one). The optional `params(args, context)` function returns
+     * the values of the message placeholders (e.g., `{ min: 5 }`). The `context` object contains the `field` name,
+     * its `kind` (`text`, `choice` or `file`), the `locale` and a `get(field)` accessor for reading other fields
+     * by name or element.
      *
-     * @property {Array} errorMessages - An array to store error messages for invalid fields.
-     *                                   Defaults to an empty array `[]`.
+     * Rules only work on values, so they run the same way in the browser, in a Web Worker or in Node.
+     * The element methods (`required`, `email`, ...) are a DOM adapter on top of them.
      *
-     * @property {string} parentClass - The CSS class of the parent container where validation styles/messages will be applied.
-     *                                  Defaults to `.form-group`.
+     * - `implicit` rules also run when the value is empty; other rules are skipped for empty optional fields.
+     * - `variadic` rules collect their string-form arguments into a single array (e.g. `fileExtension:pdf,docx`).
+     * - `async` rules return a `Promise` and receive an `AbortSignal` as `context.signal`. They are only available
+     *   through their element methods (e.g. `imageDimensions`), which return a `Promise<boolean>`. Schemas naming
+     *   them are rejected with an error before any field is validated.
+     * - `array` rules validate a repeatable group as a whole: their value is the list of rows (e.g. `minRows`).
+     *   Rules of wildcard fields (e.g. `education[*].year`) also receive the values of the same field in every row
+     *   as `context.rows`, and the position of the current row as `context.row` (e.g. `distinct`).
      *
-     * @property {string} messageClass - The CSS class used to display validation messages.
-     *                                   Defaults to `.validation-message`.
+     * Register additional rules by adding entries to this object. They become available to schemas and `check`.
+     *
+     * @type {Object<string, {test: Function, message: string|Function, params?: Function, implicit?: boolean, variadic?: boolean, async?: boolean, array?: boolean}>}
      *
      * @example
-     * const validator = new Validator();
-     * // validator.errors -> 0
-     * // validator.errorMessages -> []
-     * // validator.parentClass -> '.form-group'
-     * // validator.messageClass -> '.validation-message'
+     * Validator.rules.evenNumber = {
+     *   test: (value) => parseInt(value) % 2 === 0,
+     *   message: 'evenNumber'
+     * };
+     * Validator.setMessages('id', { evenNumber: 'Harus bilangan genap.' });
+     * Validator.setMessages('en', { evenNumber: 'Must be an even number.' });
      */
-    constructor() {
-        this.errors = 0;
-        this.errorMessages = [];
-        this.parentClass = '.form-group';
-        this.messageClass = '.validation-message';
-    }
-
-    // ========================================================================
-    // General Validation
-    // ========================================================================
+    static rules = {
+        required: {
+            implicit: true,
+            test: (value) => !Validator.#isEmpty(value),
+            message: (args, { kind }) => kind === 'file' ? 'requiredFile' : (kind === 'choice' ? 'requiredChoice' : 'required')
+        },
+        requiredIf: {
+            implicit: true,
+            test: (value, [otherField, ...expectedValues], { get }) => !Validator.conditions.in(get(otherField), expectedValues.flat()) || !Validator.#isEmpty(value),
+            message: 'requiredIf'
+        },
+        requiredUnless: {
+            implicit: true,
+            test: (value, [otherField, ...expectedValues], { get }) => Validator.conditions.in(get(otherField), expectedValues.flat()) || !Validator.#isEmpty(value),
+            message: 'requiredUnless'
+        },
+        requiredWith: {
+            implicit: true,
+            variadic: true,
+            test: (value, [otherFields], { get }) => !otherFields.map(get).some(other => !Validator.#isEmpty(other)) || !Validator.#isEmpty(value),
+            message: 'requiredWith'
+        },
+        requiredWithout: {
+            implicit: true,
+            variadic: true,
+            test: (value, [otherFields], { get }) => !otherFields.map(get).some(Validator.#isEmpty) || !Validator.#isEmpty(value),
+            message: 'requiredWithout'
+        },
+        requiredWhen: {
+            implicit: true,
+            test: (value, [condition], { get }) => !Validator.testCondition(condition, get) || !Validator.#isEmpty(value),
+            message: 'requiredWhen'
+        },
+        equalTo: {
+            implicit: true,
+            test: (value, [targetField], { get }) => (value ?? '') === (get(targetField) ?? ''),
+            message: 'equalTo'
+        },
+        boolean: {
+            test: (value) => [true, false, 'true', 'false', 1, 0, '1', '0'].includes(value),
+            message: 'boolean'
+        },
+        minLength: {
+            test: (value, [length]) => String(value).length >= length,
+            message: 'minLength',
+            params: ([length]) => ({ min: length })
+        },
+        maxLength: {
+            test: (value, [length]) => String(value).length <= length,
+            message: 'maxLength',
+            params: ([length]) => ({ max: length })
+        },
+        alphabetic: {
+            test: (value) => /^[a-zA-Z.,\s]*$/.test(value),
+            message: 'alphabetic'
+        },
+        alphanumeric: {
+            test: (value) => /^[a-zA-Z0-9\s]+$/.test(value),
+            message: 'alphanumeric'
+        },
+        pattern: {
+            test: (value, [regex]) => (regex instanceof RegExp ? regex : new RegExp(regex)).test(value),
+            message: 'pattern'
+        },
+        custom: {
+            test: (value, [validatorFunction], context) => validatorFunction(value, context),
+            message: 'custom'
+        },
+        numeric: {
+            test: (value) => /^[0-9]+$/.test(value),
+            message: 'numeric'
+        },
+        number: {
+            test: (value) => !isNaN(Validator.parseNumber(value)),
+            message: 'number'
+        },
+        integer: {
+            test: (value) => Number.isInteger(Validator.parseNumber(value)),
+            message: 'integer'
+        },
+        decimalPlaces: {
+            test: (value, [maxPlaces]) => Validator.#decimalPlaces(Validator.parseNumber(value)) <= maxPlaces,
+            message: 'decimalPlaces',
+            params: ([maxPlaces]) => ({ max: maxPlaces })
+        },
+        step: {
+            test: (value, [step, base = 0]) => {
+                const number = Validator.parseNumber(value);
+                const scale = 10 ** Math.max(...[number, step, base].map(Validator.#decimalPlaces));
+                return isNaN(number) || Math.round((number - base) * scale) % Math.round(step * scale) === 0;
+            },
+            message: 'step',
+            params: ([step]) => ({ step })
+        },
+        minValue: {
+            test: (value, [minValue]) => !(Validator.parseNumber(value) < minValue),
+            message: 'minValue',
+            params: ([minValue]) => ({ min: minValue })
+        },
+        maxValue: {
+            test: (value, [maxValue]) => !(Validator.parseNumber(value) > maxValue),
+            message: 'maxValue',
+            params: ([maxValue]) => ({ max: maxValue })
+        },
+        range: {
+            test: (value, [minValue, maxValue]) => !(Validator.parseNumber(value) < minValue || Validator.parseNumber(value) > maxValue),
+            message: 'range',
+            params: ([minValue, maxValue]) => ({ min: minValue, max: maxValue })
+        },
+        fileType: {
+            variadic: true,
+            test: (value, [allowedTypes]) => Validator.#toFiles(value).every((file) => allowedTypes.includes(file.type)),
+            message: 'fileType'
+        },
+        fileSize: {
+            test: (value, [maxSize]) => Validator.#toFiles(value).every((file) => file.size <= maxSize),
+            message: 'fileSize',
+            params: ([maxSize]) => ({ max: (maxSize / (1024 * 1024)).toFixed(2) })
+        },
+        fileExtension: {
+            variadic: true,
+            test: (value, [allowedExtensions]) => Validator.#toFiles(value).every((file) => allowedExtensions.includes(file.name.split('.').pop().toLowerCase())),
+            message: 'fileExtension'
+        },
+        minFiles: {
+            test: (value, [minCount]) => Validator.#toFiles(value).length >= minCount,
+            message: 'minFiles',
+            params: ([minCount]) => ({ min: minCount })
+        },
+        maxFiles: {
+            test: (value, [maxCount]) => Validator.#toFiles(value).length <= maxCount,
+            message: 'maxFiles',
+            params: ([maxCount]) => ({ max: maxCount })
+        },
+        totalFileSize: {
+            test: (value, [maxSize]) => Validator.#toFiles(value).reduce((total, file) => total + file.size, 0) <= maxSize,
+            message: 'totalFileSize',
+            params: ([maxSize]) => ({ max: (maxSize / (1024 * 1024)).toFixed(2) })
+        },
+        imageDimensions: {
+            async: true,
+            test: async (value, [constraints], { signal }) => {
+                for (const file of Validator.#toFiles(value)) {
+                    const dimensions = await Validator.#readImageDimensions(file, signal);
+                    if (dimensions === null || !Validator.#testDimensions(dimensions, constraints)) return false;
+                }
+                return true;
+            },
+            message: 'imageDimensions',
+            params: ([constraints]) => ({ ...constraints })
+        },
+        fileSignature: {
+            async: true,
+            test: async (value) => {
+                for (const file of Validator.#toFiles(value)) {
+                    if (!await Validator.#testFileSignature(file)) return false;
+                }
+                return true;
+            },
+            message: 'fileSignature'
+        },
+        date: {
+            test: (value, [format = 'YYYY-MM-DD']) => moment(value, format, true).isValid(),
+            message: 'date',
+            params: ([format = 'YYYY-MM-DD']) => ({ format })
+        },
+        datetime: {
+            test: (value, [format = 'YYYY-MM-DD HH:mm:ss']) => moment(value, format, true).isValid(),
+            message: 'datetime',
+            params: ([format = 'YYYY-MM-DD HH:mm:ss']) => ({ format })
+        },
+        time: {
+            test: (value, [format = 'HH:mm:ss']) => moment(value, format, true).isValid(),
+            message: 'time',
+            params: ([format = 'HH:mm:ss']) => ({ format })
+        },
+        minDate: {
+            test: (value, [minDate, format = 'YYYY-MM-DD']) => Validator.#compareDate(value, format, (date) => !date.isBefore(moment(minDate, format, true))),
+            message: 'minDate',
+            params: ([minDate, format = 'YYYY-MM-DD']) => ({ min: moment(minDate, format, true).format(format), format })
+        },
+        maxDate: {
+            test: (value, [maxDate, format = 'YYYY-MM-DD']) => Validator.#compareDate(value, format, (date) => !date.isAfter(moment(maxDate, format, true))),
+            message: 'maxDate',
+            params: ([maxDate, format = 'YYYY-MM-DD']) => ({ max: moment(maxDate, format, true).format(format), format })
+        },
+        minDatetime: {
+            test: (value, [minDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => Validator.#compareDate(value, format, (date) => !date.isBefore(moment(minDatetime, format, true))),
+            message: 'minDatetime',
+            params: ([minDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => ({ min: Validator.#formatDate(minDatetime, format), format })
+        },
+        maxDatetime: {
+            test: (value, [maxDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => Validator.#compareDate(value, format, (date) => !date.isAfter(moment(maxDatetime, format, true))),
+            message: 'maxDatetime',
+            params: ([maxDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => ({ max: Validator.#formatDate(maxDatetime, format), format })
+        },
+        dateBetween: {
+            test: (value, [startDate, endDate, format = 'YYYY-MM-DD']) => Validator.#compareDate(value, format, (date) => date.isBetween(moment(startDate, format, true), moment(endDate, format, true), null, '[]')),
+            message: 'dateBetween',
+            params: ([startDate, endDate, format = 'YYYY-MM-DD']) => ({ min: moment(startDate, format, true).format(format), max: moment(endDate, format, true).format(format), format })
+        },
+        datetimeBetween: {
+            test: (value, [startDatetime, endDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => Validator.#compareDate(value, format, (date) => date.isBetween(moment(startDatetime, format, true), moment(endDatetime, format, true), null, '[]')),
+            message: 'datetimeBetween',
+            params: ([startDatetime, endDatetime, format = 'YYYY-MM-DD HH:mm:ss']) => ({ min: moment(startDatetime, format, true).format(format), max: moment(endDatetime, format, true).format(format), format })
+        },
+        dateAfter: {
+            test: (value, [otherField, format = 'YYYY-MM-DD'], { get }) => Validator.#compareDate(value, format, (date) => {
+                const otherDate = moment(get(otherField), format, true);
+                return !otherDate.isValid() || date.isAfter(otherDate);
+            }),
+            message: 'dateAfter',
+            params: ([otherField, format = 'YYYY-MM-DD'], { get }) => ({ date: get(otherField), format })
+        },
+        dateBefore: {
+            test: (value, [otherField, format = 'YYYY-MM-DD'], { get }) => Validator.#compareDate(value, format, (date) => {
+                const otherDate = moment(get(otherField), format, true);
+                return !otherDate.isValid() || date.isBefore(otherDate);
+            }),
+            message: 'dateBefore',
+            params: ([otherField, format = 'YYYY-MM-DD'], { get }) => ({ date: get(otherField), format })
+        },
+        email: {
+            test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            message: 'email'
+        },
+        url: {
+            test: (value) => /^(https?:\/\/)?([\w\-]+\.)+[\w\-]+(\/[\w\-]*)*$/.test(value),
+            message: 'url'
+        },
+        phoneNumber: {
+            test: (value) => Validator.#sat()?.Phone.Validate(value, { landline: true }) ?? /^[0-9+\s()-]+$/.test(value),
+            message: 'phoneNumber'
+        },
+        mobileNumber: {
+            test: (value) => {
+                const sat = Validator.#sat();
+                if (sat === null) throw new Error('Aturan validasi "mobileNumber" membutuhkan SAT.js.');
+                return sat.Phone.Validate(value);
+            },
+            message: 'mobileNumber'
+        },
+        nik: {
+            test: (value) => Validator.parseNik(value) !== null,
+            message: 'nik'
+        },
+        nikGender: {
+            test: (value, [genderField], { get }) => {
+                const gender = Validator.#normalizeGender(get(genderField));
+                return gender === null || Validator.parseNik(value)?.gender === gender;
+            },
+            message: 'nikGender'
+        },
+        nikBirthDate: {
+            test: (value, [birthDateField, format = 'YYYY-MM-DD'], { get }) => {
+                const birthDate = moment(get(birthDateField), format, true);
+                const nik = Validator.parseNik(value);
+                return !birthDate.isValid() || (nik !== null && nik.birthDate.substring(2) === birthDate.format('YY-MM-DD'));
+            },
+            message: 'nikBirthDate'
+        },
+        npwp: {
+            test: (value) => /^\d{15,16}$/.test(value) || /^\d{2}\.\d{3}\.\d{3}\.\d-\d{3}\.\d{3}$/.test(value),
+            message: 'npwp'
+        },
+        nisn: {
+            test: (value) => /^\d{10}$/.test(value),
+            message: 'nisn'
+        },
+        postalCode: {
+            test: (value) => /^[1-9]\d{4}$/.test(value),
+            message: 'postalCode'
+        },
+        password: {
+            test: (value, [policy], { get, locale }) => Validator.passwordStrength(value, policy, { get, locale }).unmet.length === 0,
+            message: 'password'
+        },
+        minRows: {
+            implicit: true,
+            array: true,
+            test: (value, [minCount]) => Validator.#toRows(value).length >= minCount,
+            message: 'minRows',
+            params: ([minCount]) => ({ min: minCount })
+        },
+        maxRows: {
+            array: true,
+            test: (value, [maxCount]) => Validator.#toRows(value).length <= maxCount,
+            message: 'maxRows',
+            params: ([maxCount]) => ({ max: maxCount })
+        },
+        distinct: {
+            test: (value, args, { rows = [], row = 0 }) => !rows.slice(0, row).some(other => String(other ?? '').trim() === String(value).trim()),
+            message: 'distinct'
+        },
+        asyncValidation: {
+            async: true,
+            test: (value, [asyncValidatorFunction], { signal }) => asyncValidatorFunction(value, { signal }),
+            message: 'asyncValidation'
+        }
+    };
 
     /**
-     * Validates that the input field is not empty.
+     * Predicates used by conditions over other fields (see `testCondition`).
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<select>`, `<textarea>`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Wajib diisi.' for empty fields.
+     * Each predicate receives the value of the controlling field and the expected argument,
+     * and returns `true` if the condition holds. Register additional predicates by adding entries to this object.
      *
-     * @returns {boolean} - Returns `true` if the field is not empty, otherwise `false`.
+     * @type {Object<string, Function>}
      *
      * @example
-     * validator.required($('#username'), 'Username is required.');
+     * Validator.conditions.startsWith = (value, prefix) => String(value ?? '').startsWith(prefix);
      */
-    required(element, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="text"],input[type="email"],input[type="password"],input[type="number"],select,textarea') && element.val() === '') {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Wajib diisi.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        } else if (element.hasClass('select2-hidden-accessible')) {
-            const value = element.val();
-            if (value === null || value === '') {
-                this.errors++;
-                const customMessage = message !== '' ? message : 'Wajib dipilih.';
-                this.#setErrorMessage(element, customMessage);
-
-                // Attach change event to revalidate
-                element.on('change', () => {
-                    if (element.val() !== null && element.val() !== '') {
-                        this.#setErrorMessage(element);
-                    }
-                });
-                return false;
-            }
-        } else if (element.is('input[type="radio"],input[type="checkbox"]') && element.filter(':checked').val() === undefined) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Wajib dipilih.');
-            element.on('change', () => this.#setErrorMessage(element));
-            return false;
-        } else if (element.is('input[type="file"]') && element.get(0).files.length === 0) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Wajib diunggah.');
-            element.on('change', () => this.#setErrorMessage(element));
-            return false;
-        } else {
-            return true;
-        }
-    }
+    static conditions = {
+        in: (value, expectedValues) => [].concat(value).some(item => [].concat(expectedValues).map(String).includes(String(item))),
+        notIn: (value, expectedValues) => !Validator.conditions.in(value, expectedValues),
+        filled: (value, expected = true) => Validator.#isEmpty(value) !== Boolean(expected),
+        greaterThan: (value, limit) => parseFloat(value) > limit,
+        lessThan: (value, limit) => parseFloat(value) < limit
+    };
 
     /**
-     * Validates that the field is required only if another field has a specific value.
+     * Widget adapters, used to validate fields rendered by JavaScript widgets instead of native inputs.
      *
-     * @param {jQuery} element - The field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {jQuery} otherElement - The field whose value determines if validation is required.
-     * @param {string|number} expectedValue - The value of `otherElement` that triggers validation.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Field ini wajib diisi.' if left empty.
+     * The first adapter whose `match(element)` returns `true` handles the field. Each adapter may provide:
+     * - `read(element)`: Returns the value validated by the rules (defaults to the native input value).
+     * - `target(element, validator)`: Returns the elements receiving the `is-invalid` and `is-pending` classes
+     *   (defaults to the field itself).
+     * - `render(element, message, validator)`: Renders the error message, replacing the default rendering
+     *   (an empty message removes the invalid state).
+     * - `kind`: The field kind (`text`, `choice` or `file`), used to pick the default `required` message.
+     * - `events`: Extra space-separated events signalling that the value changed (e.g. `change.td`).
+     * - `focus(element)`: Focuses the widget, used by the error summary (defaults to focusing the target).
      *
-     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
+     * Register adapters for your own components by adding entries to this object.
+     *
+     * @type {Object<string, {match: Function, read?: Function, target?: Function, render?: Function, kind?: string, events?: string, focus?: Function}>}
      *
      * @example
-     * validator.requiredIf($('#address'), $('#hasAddress'), 'yes', 'Address is required.');
+     * // <div class="rating" data-value="4">...</div>
+     * Validator.widgets.rating = {
+     *   match: (element) => element.hasClass('rating'),
+     *   read: (element) => element.attr('data-value') ?? '',
+     *   kind: 'choice',
+     *   events: 'rating:change'
+     * };
      */
-    requiredIf(element, otherElement, expectedValue, message = '') {
-        this.#setErrorMessage(element);
-        if (otherElement.val() === expectedValue && element.val() === '') {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Field ini wajib diisi.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
+    static widgets = {
+        select2: {
+            match: (element) => element.hasClass('select2-hidden-accessible'),
+            target: (element, validator) => element.closest(validator.parentClass).find('.select2-selection'),
+            kind: 'choice'
+        },
+        quill: {
+            match: (element) => element.hasClass('ql-container'),
+            read: (element) => {
+                const editor = typeof Quill !== 'undefined' ? Quill.find(element.get(0)) : null;
+                return (editor?.getText?.() ?? element.find('.ql-editor').text()).trim();
+            },
+            target: (element) => element.add(element.prev('.ql-toolbar')),
+            focus: (element) => element.find('.ql-editor').trigger('focus')
+        },
+        tempusDominus: {
+            match: (element) => element.data('tempusDominus') !== undefined,
+            read: (element) => {
+                const date = element.data('tempusDominus').dates.lastPicked;
+                return date ? moment(date).format(element.attr('data-date-format') ?? 'YYYY-MM-DD') : '';
+            },
+            events: 'change.td'
         }
-        return true;
-    }
+    };
 
     /**
-     * Validates that the value of the field matches the value of another field.
+     * Error renderers, used to display the message of a field and mark it as invalid.
      *
-     * @param {jQuery} element - The field to validate.
-     * @param {jQuery} targetElement - The field to compare against.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Input tidak sama.' if left empty.
+     * A renderer is a function `(element, message, validator)`; an empty message removes the invalid state.
+     * - `inline`: Shows the message in the `messageClass` element of the `parentClass` container (the default).
+     * - `tooltip`: Shows the message in a Bootstrap tooltip on the field, or in its `title` without Bootstrap.
+     * - `toast`: Shows the message, prefixed with the field label, in a SweetAlert2 toast. The toast is shown again
+     *   only when the message of the field changes.
      *
-     * @returns {boolean} - Returns `true` if the values match, otherwise `false`.
+     * Pick a renderer with the `renderer` option, per field with `setRenderer` or the `data-renderer` attribute,
+     * or register your own by adding entries to this object.
+     *
+     * @type {Object<string, Function>}
      *
      * @example
-     * validator.equalTo($('#confirmPassword'), $('#password'), 'Passwords must match.');
+     * // <input name="email" aria-errormessage="emailError"> <span id="emailError"></span>
+     * Validator.renderers.errormessage = (element, message) => {
+     *   element.toggleClass('is-invalid', message !== '');
+     *   $(`#${element.attr('aria-errormessage')}`).text(message);
+     * };
      */
-    equalTo(element, targetElement, message = '') {
-        this.#setErrorMessage(element);
-        if (element.val() !== targetElement.val()) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Input tidak sama.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
+    static renderers = {
+        inline: (element, message, validator) => {
+            const widget = validator.#widgetOf(element);
+            validator.#renderAria(element, message);
+            if (widget?.render) {
+                widget.render(element, message, validator);
+            } else if (widget === null && element.is('select')) {
+                element.closest(validator.parentClass).find('.select2-selection').toggleClass('is-invalid', message !== '');
+            } else {
+                validator.#widgetTarget(element).toggleClass('is-invalid', message !== '');
+                element.closest(validator.parentClass).find(validator.messageClass).html(message);
+            }
+        },
+        tooltip: (element, message, validator) => {
+            const target = validator.#widgetTarget(element).toggleClass('is-invalid', message !== '').first();
+            if (typeof bootstrap === 'undefined') {
+                target.attr('title', message !== '' ? message : null);
+                return;
+            }
+
+            bootstrap.Tooltip.getInstance(target.get(0))?.dispose();
+            if (message !== '') new bootstrap.Tooltip(target.get(0), { title: message, trigger: 'hover focus', customClass: 'validation-tooltip' });
+        },
+        toast: (element, message, validator) => {
+            const node = element.get(0);
+            validator.#widgetTarget(element).toggleClass('is-invalid', message !== '');
+            if (message === '') {
+                validator.#toasts.delete(node);
+                return;
+            }
+            // Live validation re-renders on every keystroke: only toast new messages
+            if (validator.#toasts.get(node) === message || typeof Swal === 'undefined') return;
+
+            validator.#toasts.set(node, message);
+
+            Swal.fire({
+                toast: true,
+                position: 'top-end',
+                icon: 'error',
+                title: `${validator.#fieldLabel(element)}: ${$('<div>').html(message).text()}`,
+                showConfirmButton: false,
+                timer: 3000
+            });
         }
-        return true;
-    }
+    };
 
     /**
-     * Validates that the field contains a boolean value.
-     *
-     * @param {jQuery} element - The field to validate.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Nilai harus berupa boolean.' if left empty.
-     *
-     * @returns {boolean} - Returns `true` if the value is a valid boolean, otherwise `false`.
+     * Province codes used in the first two digits of an NIK.
      *
-     * @example
-     * validator.boolean($('#subscribe'), 'Invalid boolean value.');
+     * @type {string[]}
      */
-    boolean(element, message = '') {
-        this.#setErrorMessage(element);
-        const value = element.val();
-        const validValues = [true, false, 'true', 'false', 1, 0, '1', '0'];
-        if (!validValues.includes(value)) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Nilai harus berupa boolean.');
-            element.on('change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
-    }
-
-    // ========================================================================
-    // Text Validation
-    // ========================================================================
+    static PROVINCE_CODES = [
+        '11', '12', '13', '14', '15', '16', '17', '18', '19', '21',
+        '31', '32', '33', '34', '35', '36',
+        '51', '52', '53',
+        '61', '62', '63', '64', '65',
+        '71', '72', '73', '74', '75', '76',
+        '81', '82',
+        '91', '92', '93', '94', '95', '96', '97'
+    ];
 
     /**
-     * Validates that the input value has at least the specified minimum number of characters.
+     * Magic bytes used by the `fileSignature` rule, keyed by MIME type.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {number} length - The minimum number of characters required.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Minimal {length} karakter.'.
+     * Each signature is a hexadecimal string matched against the start of the file, where `??` matches any byte.
+     * Files whose MIME type is not listed here cannot be verified and pass the rule.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @type {Object<string, string[]>}
      *
      * @example
-     * validator.minLength($('#username'), 5, 'Username must be at least 5 characters.');
+     * Validator.FILE_SIGNATURES['image/tiff'] = ['49492A00', '4D4D002A'];
      */
-    minLength(element, length, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="text"],input[type="email"],input[type="password"],textarea') && element.val().length < length) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Minimal ${length} karakter.`);
-            element.on('keyup', () => this.#setErrorMessage(element));
-            return false;
-        } else {
-            return true;
-        }
-    }
+    static FILE_SIGNATURES = {
+        'image/jpeg': ['FFD8FF'],
+        'image/png': ['89504E470D0A1A0A'],
+        'image/gif': ['474946383761', '474946383961'],
+        'image/webp': ['52494646????????57454250'],
+        'image/bmp': ['424D'],
+        'application/pdf': ['25504446'],
+        'application/zip': ['504B0304'],
+        'application/msword': ['D0CF11E0A1B11AE1'],
+        'application/vnd.ms-excel': ['D0CF11E0A1B11AE1'],
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['504B0304'],
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['504B0304'],
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['504B0304']
+    };
 
     /**
-     * Validates that the input value does not exceed the specified maximum number of characters.
+     * The default password policy of the `password` rule.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {number} length - The maximum number of characters allowed.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Maksimal {length} karakter.'.
+     * - `minLength`: The minimum number of characters.
+     * - `lowercase`, `uppercase`, `number`, `symbol`: Whether the password must contain a character of that class.
+     * - `personalFields`: The fields whose values must not appear in the password (for emails, the part before `@`).
+     * - `common`: Whether passwords from `COMMON_PASSWORDS` are rejected.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @type {{minLength: number, lowercase: boolean, uppercase: boolean, number: boolean, symbol: boolean, personalFields: string[], common: boolean}}
      *
      * @example
-     * validator.maxLength($('#bio'), 200, 'Bio must not exceed 200 characters.');
+     * Validator.PASSWORD_POLICY.minLength = 10;
+     * Validator.PASSWORD_POLICY.personalFields.push('fullName');
      */
-    maxLength(element, length, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="text"],input[type="email"],input[type="password"],textarea') && element.val().length > length) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Maksimal ${length} karakter.`);
-            element.on('keyup', () => this.#setErrorMessage(element));
-            return false;
-        } else {
-            return true;
-        }
-    }
+    static PASSWORD_POLICY = {
+        minLength: 8,
+        lowercase: true,
+        uppercase: true,
+        number: true,
+        symbol: true,
+        personalFields: ['username', 'email'],
+        common: true
+    };
 
     /**
-     * Validates that the input contains only alphabetic characters (letters, spaces, commas, and periods).
+     * Commonly used passwords rejected by the `password` rule, in lowercase.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tidak boleh mengandung angka.'.
+     * Passwords are also rejected when they only add digits or symbols to one of these (e.g. `Password123!`).
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @type {Set<string>}
      *
      * @example
-     * validator.alphabetic($('#name'), 'Name must only contain letters.');
+     * Validator.COMMON_PASSWORDS.add('maranatha');
      */
-    alphabetic(element, message = '') {
-        this.#setErrorMessage(element);
-        const alphabeticRegex = /^[a-zA-Z.,\s]*$/;
-
-        if (!element.is('input[type="text"],textarea') || !alphabeticRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Tidak boleh mengandung angka.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-
-        return true;
-    }
+    static COMMON_PASSWORDS = new Set([
+        '123456', '1234567', '12345678', '123456789', '1234567890', '0987654321', '111111', '11111111', '000000',
+        '00000000', '112233', '121212', '123123', '123321', '654321', '666666', '696969', '7777777', '888888',
+        '987654321', 'password', 'passw0rd', 'p@ssw0rd', 'pass', 'password1', 'qwerty', 'qwertyuiop', 'qwerty123',
+        'asdfgh', 'asdfghjkl', 'zxcvbnm', '1qaz2wsx', 'qazwsx', 'abc123', 'abcd1234', 'abcdef', 'aa123456',
+        'iloveyou', 'admin', 'administrator', 'root', 'login', 'welcome', 'letmein', 'master', 'secret', 'default',
+        'changeme', 'trustno1', 'monkey', 'dragon', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+        'superman', 'batman', 'starwars', 'pokemon', 'naruto', 'michael', 'jennifer', 'computer', 'internet',
+        'samsung', 'google', 'whatever', 'freedom', 'hello', 'loveme', 'lovely', 'flower', 'chelsea', 'liverpool',
+        'arsenal', 'barcelona', 'indonesia', 'jakarta', 'bandung', 'sayang', 'sayangku', 'cinta', 'cintaku',
+        'rahasia', 'bismillah', 'alhamdulillah', 'katasandi', 'sandi', 'merdeka', 'garuda', 'mahasiswa',
+        'kampus', 'universitas', 'user', 'guest', 'test', 'testing'
+    ]);
 
     /**
-     * Validates that the input contains only alphanumeric characters (letters, numbers, and spaces).
+     * The locale used by new instances and by the headless methods when no locale is given.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Hanya boleh mengandung huruf dan angka.'.
+     * @type {string}
+     */
+    static defaultLocale = 'id';
+
+    /**
+     * Message catalog, keyed by locale and then by message key (usually the rule name).
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * Messages may contain `{placeholders}`, which are replaced with the rule parameters
+     * (`{min}`, `{max}`, `{format}`, ...) and `{field}`, the label of the validated field.
+     * Use `addLocale` to register a new locale and `setMessages` to override individual messages.
      *
-     * @example
-     * validator.alphanumeric($('#username'), 'Username must only contain letters and numbers.');
+     * @type {Object<string, Object<string, string>>}
      */
-    alphanumeric(element, message = '') {
-        this.#setErrorMessage(element);
-        const alphanumericRegex = /^[a-zA-Z0-9\s]+$/;
-        if (element.is('input[type="text"],textarea') && !alphanumericRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Hanya boleh mengandung huruf dan angka.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
+    static messages = {
+        id: {
+            required: 'Wajib diisi.',
+            requiredChoice: 'Wajib dipilih.',
+            requiredFile: 'Wajib diunggah.',
+            requiredIf: 'Field ini wajib diisi.',
+            requiredUnless: 'Field ini wajib diisi.',
+            requiredWith: 'Field ini wajib diisi.',
+            requiredWithout: 'Field ini wajib diisi.',
+            requiredWhen: 'Field ini wajib diisi.',
+            equalTo: 'Input tidak sama.',
+            boolean: 'Nilai harus berupa boolean.',
+            minLength: 'Minimal {min} karakter.',
+            maxLength: 'Maksimal {max} karakter.',
+            alphabetic: 'Tidak boleh mengandung angka.',
+            alphanumeric: 'Hanya boleh mengandung huruf dan angka.',
+            pattern: 'Format input tidak sesuai.',
+            custom: 'Input tidak valid.',
+            numeric: 'Hanya boleh mengandung angka.',
+            number: 'Harus berupa angka.',
+            integer: 'Harus berupa bilangan bulat.',
+            decimalPlaces: 'Maksimal {max} angka di belakang koma.',
+            step: 'Nilai harus kelipatan {step}.',
+            minValue: 'Nilai minimal adalah {min}.',
+            maxValue: 'Nilai maksimal adalah {max}.',
+            range: 'Nilai harus antara {min} dan {max}.',
+            fileType: 'Format berkas tidak sesuai.',
+            fileSize: 'Ukuran file tidak boleh lebih dari {max} MB.',
+            fileExtension: 'Ekstensi file tidak diizinkan.',
+            minFiles: 'Minimal {min} file.',
+            maxFiles: 'Maksimal {max} file.',
+            totalFileSize: 'Total ukuran file tidak boleh lebih dari {max} MB.',
+            imageDimensions: 'Dimensi gambar tidak sesuai.',
+            fileSignature: 'Isi file tidak sesuai dengan formatnya.',
+            date: 'Tanggal tidak sesuai format {format}.',
+            datetime: 'Format tanggal dan waktu tidak sesuai ({format}).',
+            time: 'Format waktu tidak sesuai ({format}).',
+            minDate: 'Tanggal tidak boleh sebelum {min}.',
+            maxDate: 'Tanggal tidak boleh setelah {max}.',
+            minDatetime: 'Tanggal dan waktu tidak boleh sebelum {min}.',
+            maxDatetime: 'Tanggal dan waktu tidak boleh setelah {max}.',
+            dateBetween: 'Tanggal harus antara {min} dan {max}.',
+            datetimeBetween: 'Tanggal dan waktu harus antara {min} dan {max}.',
+            dateAfter: 'Tanggal harus setelah {date}.',
+            dateBefore: 'Tanggal harus sebelum {date}.',
+            email: 'Email tidak sesuai format',
+            url: 'URL tidak sesuai format.',
+            phoneNumber: 'Nomor telepon tidak valid.',
+            mobileNumber: 'Nomor HP tidak valid.',
+            nik: 'NIK tidak valid.',
+            nikGender: 'NIK tidak sesuai dengan jenis kelamin.',
+            nikBirthDate: 'NIK tidak sesuai dengan tanggal lahir.',
+            npwp: 'NPWP harus terdiri dari 15 atau 16 digit angka.',
+            nisn: 'NISN harus terdiri dari 10 digit angka.',
+            postalCode: 'Kode pos harus terdiri dari 5 digit angka.',
+            password: 'Kata sandi belum memenuhi syarat keamanan.',
+            passwordMinLength: 'Minimal {min} karakter',
+            passwordLowercase: 'Mengandung huruf kecil',
+            passwordUppercase: 'Mengandung huruf besar',
+            passwordNumber: 'Mengandung angka',
+            passwordSymbol: 'Mengandung simbol',
+            passwordPersonal: 'Tidak mengandung username atau email',
+            passwordCommon: 'Bukan kata sandi yang umum digunakan',
+            passwordScore0: 'Sangat lemah',
+            passwordScore1: 'Lemah',
+            passwordScore2: 'Cukup',
+            passwordScore3: 'Kuat',
+            passwordScore4: 'Sangat kuat',
+            minRows: 'Minimal {min} baris.',
+            maxRows: 'Maksimal {max} baris.',
+            distinct: 'Nilai ini sudah digunakan pada baris lain.',
+            asyncValidation: 'Input tidak valid.',
+            asyncError: 'Terjadi kesalahan saat validasi.',
+            invalidForm: 'Masih ada form yang belum diisi atau salah.',
+            summaryTitle: 'Masih ada {count} isian yang belum diisi atau salah:'
+        },
+        en: {
+            required: 'This field is required.',
+            requiredChoice: 'Please select an option.',
+            requiredFile: 'Please upload a file.',
+            requiredIf: 'This field is required.',
+            requiredUnless: 'This field is required.',
+            requiredWith: 'This field is required.',
+            requiredWithout: 'This field is required.',
+            requiredWhen: 'This field is required.',
+            equalTo: 'The values do not match.',
+            boolean: 'The value must be a boolean.',
+            minLength: 'Must be at least {min} characters.',
+            maxLength: 'Must be at most {max} characters.',
+            alphabetic: 'Must not contain numbers.',
+            alphanumeric: 'Must only contain letters and numbers.',
+            pattern: 'The input format is invalid.',
+            custom: 'The input is invalid.',
+            numeric: 'Must only contain numbers.',
+            number: 'Must be a number.',
+            integer: 'Must be a whole number.',
+            decimalPlaces: 'Must have at most {max} decimal places.',
+            step: 'Must be a multiple of {step}.',
+            minValue: 'The minimum value is {min}.',
+            maxValue: 'The maximum value is {max}.',
+            range: 'The value must be between {min} and {max}.',
+            fileType: 'The file format is not allowed.',
+            fileSize: 'The file size must not exceed {max} MB.',
+            fileExtension: 'The file extension is not allowed.',
+            minFiles: 'Select at least {min} files.',
+            maxFiles: 'Select at most {max} files.',
+            totalFileSize: 'The total file size must not exceed {max} MB.',
+            imageDimensions: 'The image dimensions are not allowed.',
+            fileSignature: 'The file content does not match its format.',
+            date: 'The date must match the format {format}.',
+            datetime: 'The date and time must match the format ({format}).',
+            time: 'The time must match the format ({format}).',
+            minDate: 'The date must not be before {min}.',
+            maxDate: 'The date must not be after {max}.',
+            minDatetime: 'The date and time must not be before {min}.',
+            maxDatetime: 'The date and time must not be after {max}.',
+            dateBetween: 'The date must be between {min} and {max}.',
+            datetimeBetween: 'The date and time must be between {min} and {max}.',
+            dateAfter: 'The date must be after {date}.',
+            dateBefore: 'The date must be before {date}.',
+            email: 'The email format is invalid.',
+            url: 'The URL format is invalid.',
+            phoneNumber: 'The phone number is invalid.',
+            mobileNumber: 'The mobile number is invalid.',
+            nik: 'The NIK is invalid.',
+            nikGender: 'The NIK does not match the gender.',
+            nikBirthDate: 'The NIK does not match the date of birth.',
+            npwp: 'The NPWP must consist of 15 or 16 digits.',
+            nisn: 'The NISN must consist of 10 digits.',
+            postalCode: 'The postal code must consist of 5 digits.',
+            password: 'The password does not meet the security requirements.',
+            passwordMinLength: 'At least {min} characters',
+            passwordLowercase: 'Contains a lowercase letter',
+            passwordUppercase: 'Contains an uppercase letter',
+            passwordNumber: 'Contains a number',
+            passwordSymbol: 'Contains a symbol',
+            passwordPersonal: 'Does not contain your username or email',
+            passwordCommon: 'Is not a commonly used password',
+            passwordScore0: 'Very weak',
+            passwordScore1: 'Weak',
+            passwordScore2: 'Fair',
+            passwordScore3: 'Strong',
+            passwordScore4: 'Very strong',
+            minRows: 'Add at least {min} rows.',
+            maxRows: 'Add at most {max} rows.',
+            distinct: 'This value is already used in another row.',
+            asyncValidation: 'The input is invalid.',
+            asyncError: 'An error occurred during validation.',
+            invalidForm: 'Some fields are still empty or invalid.',
+            summaryTitle: 'There are {count} fields that are empty or invalid:'
         }
-        return true;
-    }
+    };
 
     /**
-     * Validates the input value against a custom regular expression.
+     * Counter used to give each instance its own event namespace.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {RegExp} regex - The regular expression to test the input against.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Format input tidak sesuai.'.
+     * @private
+     */
+    static #instances = 0;
+
+    /**
+     * Counter used to generate the IDs of validation messages and summaries.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @private
+     */
+    static #ids = 0;
+
+    /**
+     * The field types each element method applies to, keyed by rule (`element.prop('type')`, so `textarea` for textareas
+     * and `text` for inputs without a type). Other fields pass the rule. Widgets and unlisted rules apply to every field.
      *
-     * @example
-     * const regex = /^[a-z0-9_-]{3,15}$/; // Username: 3-15 characters, lowercase letters, numbers, _, -
-     * validator.pattern($('#username'), regex, 'Invalid username format.');
+     * @private
      */
-    pattern(element, regex, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="text"],textarea') && !regex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Format input tidak sesuai.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
-    }
+    static #fieldTypes = {
+        minLength: ['text', 'email', 'password', 'textarea'],
+        maxLength: ['text', 'email', 'password', 'textarea'],
+        alphabetic: ['text', 'textarea'],
+        alphanumeric: ['text', 'textarea'],
+        pattern: ['text', 'textarea'],
+        numeric: ['text', 'number', 'textarea'],
+        minValue: ['text', 'number'],
+        maxValue: ['text', 'number'],
+        range: ['text', 'number'],
+        fileType: ['file'],
+        fileSize: ['file'],
+        fileExtension: ['file'],
+        date: ['text', 'date'],
+        minDate: ['text', 'date'],
+        maxDate: ['text', 'date'],
+        dateBetween: ['text', 'date'],
+        datetime: ['text', 'datetime-local'],
+        minDatetime: ['text', 'datetime-local'],
+        maxDatetime: ['text', 'datetime-local'],
+        datetimeBetween: ['text', 'datetime-local'],
+        time: ['text', 'time'],
+        email: ['text', 'email'],
+        url: ['text', 'url'],
+        phoneNumber: ['text', 'tel']
+    };
 
     /**
-     * Validates the input value using a custom validator function.
+     * The event namespace of this instance (e.g. `.validator1`).
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {Function} validatorFunction - A custom function that takes the input value as an argument
-     *                                        and returns `true` if valid, `false` otherwise.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Input tidak valid.'.
+     * @private
+     */
+    #namespace;
+
+    /**
+     * The fields with attached event handlers, keyed by DOM node: `{ element, checks }`,
+     * where `checks` maps a rule name to a function returning the failure (`{ rule, message }`) or `null`.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @private
+     */
+    #watched = new Map();
+
+    /**
+     * The pending debounce timers of live validation, keyed by DOM node.
      *
-     * @example
-     * const isEven = (value) => parseInt(value) % 2 === 0;
-     * validator.custom($('#number'), isEven, 'The number must be even.');
+     * @private
      */
-    custom(element, validatorFunction, message = '') {
-        this.#setErrorMessage(element);
-        if (!validatorFunction(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Input tidak valid.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
-    }
+    #timers = new Map();
 
-    // ========================================================================
-    // Numeric Validation
-    // ========================================================================
+    /**
+     * The in-flight asynchronous checks, keyed by DOM node: `{ controller, promise }`.
+     *
+     * @private
+     */
+    #pending = new Map();
 
     /**
-     * Validates that the input contains only numeric characters (0-9).
+     * The fields depending on the value of other fields, keyed by the DOM node of the controlling field:
+     * a `Set` of the DOM nodes of the dependent fields (e.g. the confirmation field of an `equalTo` rule).
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Hanya boleh mengandung angka.'.
+     * @private
+     */
+    #dependents = new Map();
+
+    /**
+     * The wizard state set by `defineSteps`: `{ form, steps, schema, current, completed, onStepChange }`.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @private
+     */
+    #wizard = null;
+
+    /**
+     * The DOM nodes of the password fields with a strength meter attached by `passwordMeter`.
+     *
+     * @private
+     */
+    #meters = new Set();
+
+    /**
+     * The renderers picked per field with `setRenderer`, keyed by DOM node.
+     *
+     * @private
+     */
+    #renderers = new Map();
+
+    /**
+     * The messages currently shown by the `toast` renderer, keyed by DOM node.
+     *
+     * @private
+     */
+    #toasts = new Map();
+
+    /**
+     * The fields marked by `showServerErrors`, keyed by DOM node: `{ element, entries }`,
+     * where `entries` are the server errors of the field in `errorMessages`.
+     *
+     * @private
+     */
+    #serverErrors = new Map();
+
+    /**
+     * The schema field or server error key of the fields rendered by `validateSchema`/`showServerErrors`,
+     * keyed by DOM node. Used to report the errors of those fields under the same key.
+     *
+     * @private
+     */
+    #fieldNames = new WeakMap();
+
+    /**
+     * Initializes the `Validator` class.
+     *
+     * @property {number} errors - A counter for the number of validation errors.
+     *                             Defaults to `0`.
+     *
+     * @property {Array} errorMessages - An array to store error messages for invalid fields.
+     *                                   Defaults to an empty array `[]`.
+     *
+     * Both `errors` and `errorMessages` accumulate across validations until `reset` is called.
+     *
+     * @property {string} parentClass - The CSS class of the parent container where validation styles/messages will be applied.
+     *                                  Defaults to `.form-group`.
+     *
+     * @property {string} messageClass - The CSS class used to display validation messages.
+     *                                   Defaults to `.validation-message`.
+     *
+     * @property {boolean} live - Whether live validation is enabled. When enabled, every validated field re-runs its own
+     *                            rules on `input` (debounced) and on `blur`/`change`, so its message is updated in place.
+     *                            When disabled, a failed field only clears its message on the next `keyup`/`change`.
+     *                            Defaults to `false`.
+     *
+     * @property {number} debounce - The delay in milliseconds before re-validating a field on `input` in live mode.
+     *                               Defaults to `300`.
+     *
+     * @property {string} locale - The locale of the default error messages (a key of `Validator.messages`).
+     *                             Defaults to `Validator.defaultLocale`.
+     *
+     * @property {jQuery|null} summary - The container of the error summary. When set, `throwErrorMessage` renders
+     *                                   the summary there and focuses the first invalid field. Defaults to `null`.
+     *
+     * @property {string|Function} renderer - The error renderer of the fields: the name of an entry of `Validator.renderers`
+     *                                        or a `(element, message, validator)` callback. Defaults to `inline`.
+     *
+     * @param {Object} [options={}] - The validator options.
+     * @param {boolean} [options.live=false] - Enables live validation.
+     * @param {number} [options.debounce=300] - The live validation delay in milliseconds.
+     * @param {string} [options.locale=Validator.defaultLocale] - The locale of the default error messages.
+     * @param {jQuery|HTMLElement|string|null} [options.summary=null] - The container of the error summary.
+     * @param {string|Function} [options.renderer="inline"] - The error renderer of the fields.
      *
      * @example
-     * validator.numeric($('#age'), 'Age must be a number.');
+     * const validator = new Validator();
+     * // validator.errors -> 0
+     * // validator.errorMessages -> []
+     * // validator.parentClass -> '.form-group'
+     * // validator.messageClass -> '.validation-message'
+     *
+     * @example
+     * // Re-validate fields while the user types
+     * const validator = new Validator({ live: true, debounce: 500 });
+     *
+     * @example
+     * // Show the default error messages in English
+     * const validator = new Validator({ locale: 'en' });
+     *
+     * @example
+     * // List the failed fields above the form when `throwErrorMessage` fires
+     * const validator = new Validator({ summary: '#registrationErrors' });
+     *
+     * @example
+     * // Show the error messages in tooltips
+     * const validator = new Validator({ renderer: 'tooltip' });
      */
-    numeric(element, message = '') {
-        this.#setErrorMessage(element);
-        const numericRegex = /^[0-9]+$/;
-        if (element.is('input[type="text"],input[type="number"],textarea') && !numericRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Hanya boleh mengandung angka.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    constructor({ live = false, debounce = 300, locale = Validator.defaultLocale, summary = null, renderer = 'inline' } = {}) {
+        this.errors = 0;
+        this.errorMessages = [];
+        this.parentClass = '.form-group';
+        this.messageClass = '.validation-message';
+        this.live = live;
+        this.debounce = debounce;
+        this.locale = locale;
+        this.summary = summary === null ? null : $(summary);
+        this.renderer = renderer;
+        this.#namespace = `.validator${++Validator.#instances}`;
     }
 
+    // ========================================================================
+    // Headless Validation
+    // ========================================================================
+
     /**
-     * Validates that the input value is not less than a specified minimum value.
+     * Validates a single value against a list of rules, without touching the DOM.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {number} minValue - The minimum value allowed.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Nilai minimal adalah {minValue}.'.
+     * @param {*} value - The value to validate.
+     * @param {string|Array<string|Object>} rules - The rules, written like a schema field definition.
+     * @param {Object} [data={}] - Other field values, used by cross-field rules such as `equalTo`.
+     * @param {Object} [options={}] - The validation options.
+     * @param {string} [options.locale=Validator.defaultLocale] - The locale of the default error messages.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @returns {string[]} - The error messages of the failed rules (empty if the value is valid).
      *
      * @example
-     * validator.minValue($('#price'), 100, 'Price must be at least 100.');
+     * Validator.check('john@example', 'required|email');
+     * // ['Email tidak sesuai format']
+     *
+     * @example
+     * Validator.check('secret', 'equalTo:password', { password: 'secret' });
+     * // []
+     *
+     * @example
+     * Validator.check('abc', 'minLength:5', {}, { locale: 'en' });
+     * // ['Must be at least 5 characters.']
      */
-    minValue(element, minValue, message = '') {
-        this.#setErrorMessage(element);
-        const value = parseFloat(element.val());
-        if (element.is('input[type="number"],input[type="text"]') && value < minValue) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Nilai minimal adalah ${minValue}.`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    static check(value, rules, data = {}, { locale = Validator.defaultLocale } = {}) {
+        return Validator.#runRules(rules, value, { field: '', kind: 'text', locale, get: (field) => data?.[field] }).map(({ message }) => message);
     }
 
     /**
-     * Validates that the input value does not exceed a specified maximum value.
+     * Validates a plain data object against a schema, without touching the DOM.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {number} maxValue - The maximum value allowed.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Nilai maksimal adalah {maxValue}.'.
+     * Unlike `validateSchema`, this method does not update the error counters of any instance,
+     * which makes it suitable for JSON payloads, Web Workers and Node unit tests.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * @param {Object<string, string|Array<string|Object>>} schema - The field names and their rules.
+     * @param {Object} data - The field values.
+     * @param {Object} [options={}] - The validation options.
+     * @param {string} [options.locale=Validator.defaultLocale] - The locale of the default error messages.
+     *
+     * @returns {Object<string, string[]>} - Maps each failed field to its error messages (empty if the data is valid).
      *
      * @example
-     * validator.maxValue($('#discount'), 50, 'Discount must not exceed 50%.');
+     * Validator.validate({ name: 'required', age: 'numeric|range:18,99' }, { name: '', age: '17' });
+     * // { name: ['Wajib diisi.'], age: ['Nilai harus antara 18 dan 99.'] }
+     *
+     * @example
+     * // Repeatable groups: errors are keyed by row
+     * Validator.validate({ education: 'minRows:1', 'education[*].school': 'required|distinct' }, {
+     *   education: [{ school: 'SMA 1' }, { school: '' }]
+     * });
+     * // { 'education.1.school': ['Wajib diisi.'] }
      */
-    maxValue(element, maxValue, message = '') {
-        this.#setErrorMessage(element);
-        const value = parseFloat(element.val());
-        if (element.is('input[type="number"],input[type="text"]') && value > maxValue) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Nilai maksimal adalah ${maxValue}.`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    static validate(schema, data, { locale = Validator.defaultLocale } = {}) {
+        Object.values(schema).forEach(definition => Validator.#parseRules(definition));
+        return Validator.#expandData(schema, data).reduce((errors, { field, definition, value, context }) => {
+            const failures = Validator.#runRules(definition, value, { field, kind: 'text', locale, ...context });
+            if (failures.length > 0) errors[field] = failures.map(({ message }) => message);
+            return errors;
+        }, {});
     }
 
     /**
-     * Validates that the input value falls within a specified range (inclusive).
+     * Checks whether a condition over other fields holds.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
-     * @param {number} minValue - The minimum value allowed.
-     * @param {number} maxValue - The maximum value allowed.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Nilai harus antara {minValue} dan {maxValue}.'.
+     * A condition can be:
+     * - An object naming the controlling `field` and one or more predicates of `Validator.conditions`:
+     *   `{ field: 'status', in: ['married', 'divorced'] }`, `{ field: 'age', greaterThan: 17 }`, `{ field: 'phone', filled: true }`.
+     * - An array of conditions, which must all hold.
+     * - A function receiving the `get(field)` accessor and returning a boolean.
      *
-     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     * In schemas, conditions make any rule conditional through the `when` option of a rule object.
+     *
+     * @param {Object|Array<Object>|Function} condition - The condition.
+     * @param {Function} get - Reads a field value by name (or element).
+     *
+     * @returns {boolean} - `true` if the condition holds.
+     *
+     * @throws {Error} - If the condition uses an unknown predicate.
      *
      * @example
-     * validator.range($('#temperature'), -10, 50, 'Temperature must be between -10 and 50.');
+     * Validator.testCondition({ field: 'status', notIn: ['single'] }, (field) => data[field]);
+     *
+     * @example
+     * validator.validateSchema({
+     *   spouseName: [{ rule: 'required', when: { field: 'status', in: ['married'] } }],
+     *   companyName: [{ rule: 'maxLength', args: [100], when: (get) => get('employed') === 'yes' }]
+     * }, $('#registrationForm'));
      */
-    range(element, minValue, maxValue, message = '') {
-        this.#setErrorMessage(element);
-        const value = parseFloat(element.val());
-        if (element.is('input[type="number"],input[type="text"]') && (value < minValue || value > maxValue)) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Nilai harus antara ${minValue} dan ${maxValue}.`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    static testCondition(condition, get) {
+        if (typeof condition === 'function') return Boolean(condition(get));
+        if (Array.isArray(condition)) return condition.every(item => Validator.testCondition(item, get));
+
+        const { field, ...predicates } = condition;
+        const value = get(field);
+        return Object.entries(predicates).every(([name, expected]) => {
+            const predicate = Validator.conditions[name];
+            if (!predicate) throw new Error(`Kondisi validasi "${name}" tidak dikenali.`);
+            return predicate(value, expected);
+        });
     }
 
     // ========================================================================
-    // File Validation
+    // Localization
     // ========================================================================
 
     /**
-     * Validates that the uploaded file has an allowed MIME type.
+     * Registers a new locale, or replaces an existing one.
      *
-     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
-     * @param {string[]} allowedTypes - An array of allowed MIME types (e.g., `['image/jpeg', 'image/png']`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Format berkas tidak sesuai.'.
+     * Messages missing from the bundle fall back to `Validator.defaultLocale`, then to `id`.
      *
-     * @returns {boolean} - Returns `true` if the file type is valid, otherwise `false`.
+     * @param {string} locale - The locale code (e.g., `jv`).
+     * @param {Object<string, string>} messages - The messages, keyed like `Validator.messages.id`.
      *
      * @example
-     * validator.fileType($('#profilePicture'), ['image/jpeg', 'image/png'], 'Only JPEG and PNG files are allowed.');
+     * Validator.addLocale('jv', { required: 'Kudu diisi.', minLength: 'Paling sethithik {min} aksara.' });
+     * const validator = new Validator({ locale: 'jv' });
      */
-    fileType(element, allowedTypes, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="file"]') && element.get(0).files.length > 0) {
-            const file = element.get(0).files[0];
-            if (!allowedTypes.includes(file.type)) {
-                this.errors++;
-                this.#setErrorMessage(element, message !== '' ? message : 'Format berkas tidak sesuai.');
-                element.on('change', () => this.#setErrorMessage(element));
-                return false;
-            }
-        }
-        return true;
+    static addLocale(locale, messages) {
+        Validator.messages[locale] = { ...messages };
     }
 
     /**
-     * Validates that the uploaded file does not exceed a specified maximum size.
+     * Overrides individual messages of a locale, keeping the others.
      *
-     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
-     * @param {number} maxSize - The maximum file size allowed in bytes (e.g., `1048576` for 1 MB).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Ukuran file tidak boleh lebih dari {maxSize} MB.'.
+     * @param {string} locale - The locale code (e.g., `id`).
+     * @param {Object<string, string>} messages - The messages to override.
      *
-     * @returns {boolean} - Returns `true` if the file size is within the allowed limit, otherwise `false`.
+     * @example
+     * Validator.setMessages('id', { required: '{field} wajib diisi.' });
+     * // <label for="email">Email</label> -> 'Email wajib diisi.'
+     */
+    static setMessages(locale, messages) {
+        Validator.messages[locale] = { ...(Validator.messages[locale] ?? {}), ...messages };
+    }
+
+    /**
+     * Gets a message from the catalog and fills in its placeholders.
+     *
+     * Keys that are not in the catalog are used as the message itself, so custom messages can contain placeholders too.
+     *
+     * @param {string} key - The message key (usually the rule name) or a literal message.
+     * @param {Object} [params={}] - The placeholder values (e.g., `{ min: 5 }`).
+     * @param {string} [locale=Validator.defaultLocale] - The locale of the message.
+     *
+     * @returns {string} - The translated message.
      *
      * @example
-     * validator.fileSize($('#resume'), 2097152, 'File size must not exceed 2 MB.');
+     * Validator.translate('minLength', { min: 5 });       // 'Minimal 5 karakter.'
+     * Validator.translate('minLength', { min: 5 }, 'en'); // 'Must be at least 5 characters.'
      */
-    fileSize(element, maxSize, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="file"]') && element.get(0).files.length > 0) {
-            const file = element.get(0).files[0];
-            if (file.size > maxSize) {
-                this.errors++;
-                const maxSizeInMB = (maxSize / (1024 * 1024)).toFixed(2);
-                const errorMessage = message !== '' ? message : `Ukuran file tidak boleh lebih dari ${maxSizeInMB} MB.`;
-                this.#setErrorMessage(element, errorMessage);
-                element.on('change', () => this.#setErrorMessage(element));
-                return false;
-            }
-        }
-        return true;
+    static translate(key, params = {}, locale = Validator.defaultLocale) {
+        const template = Validator.messages[locale]?.[key] ?? Validator.messages[Validator.defaultLocale]?.[key] ?? Validator.messages.id?.[key] ?? key;
+        return Validator.formatMessage(template, params);
     }
 
     /**
-     * Validates that the uploaded file has an allowed file extension.
+     * Replaces the `{placeholders}` of a message. Unknown placeholders are kept as-is.
      *
-     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
-     * @param {string[]} allowedExtensions - An array of allowed file extensions (e.g., `['jpg', 'png', 'pdf']`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Ekstensi file tidak diizinkan.'.
+     * @param {string} template - The message (e.g., `Minimal {min} karakter.`).
+     * @param {Object} [params={}] - The placeholder values.
      *
-     * @returns {boolean} - Returns `true` if the file extension is valid, otherwise `false`.
+     * @returns {string} - The formatted message.
      *
      * @example
-     * validator.fileExtension($('#uploadDocument'), ['pdf', 'docx'], 'Only PDF and DOCX files are allowed.');
+     * Validator.formatMessage('Nilai harus antara {min} dan {max}.', { min: 18, max: 99 });
+     * // 'Nilai harus antara 18 dan 99.'
      */
-    fileExtension(element, allowedExtensions, message = '') {
-        this.#setErrorMessage(element);
-        if (element.is('input[type="file"]') && element.get(0).files.length > 0) {
-            const file = element.get(0).files[0];
-            const fileExtension = file.name.split('.').pop().toLowerCase();
-            if (!allowedExtensions.includes(fileExtension)) {
-                this.errors++;
-                this.#setErrorMessage(element, message !== '' ? message : 'Ekstensi file tidak diizinkan.');
-                element.on('change', () => this.#setErrorMessage(element));
-                return false;
-            }
-        }
-        return true;
+    static formatMessage(template, params = {}) {
+        return String(template).replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
     }
 
     // ========================================================================
-    // Date and Time Validation
+    // General Validation
     // ========================================================================
 
     /**
-     * Validates that the input value is a valid date in the specified format.
+     * Validates that the input field is not empty.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
-     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<select>`, `<textarea>`).
      * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal tidak sesuai format {format}.'.
+     *                                Defaults to 'Wajib diisi.' for empty fields.
      *
-     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     * @returns {boolean} - Returns `true` if the field is not empty, otherwise `false`.
      *
      * @example
-     * validator.date($('#birthDate'), 'YYYY-MM-DD', 'Invalid date format.');
+     * validator.required($('#username'), 'Username is required.');
      */
-    date(element, format = 'YYYY-MM-DD', message = '') {
-        this.#setErrorMessage(element);
-        const dateValue = element.val();
-        const isValidDate = moment(dateValue, format, true).isValid();
-        if (element.is('input[type="text"],input[type="date"]') && !isValidDate) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Tanggal tidak sesuai format ${format}.`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    required(element, message = '') {
+        return this.#applyRule(element, 'required', [], message);
     }
 
     /**
-     * Validates that the input value is a valid datetime in the specified format.
+     * Validates that the field is required only if another field has a specific value.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
-     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
+     * @param {jQuery} element - The field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {jQuery} otherElement - The field whose value determines if validation is required.
+     * @param {string|number|Array<string|number>} expectedValue - The value(s) of `otherElement` that trigger validation.
      * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Format tanggal dan waktu tidak sesuai ({format}).'.
+     *                                Defaults to 'Field ini wajib diisi.' if left empty.
      *
-     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
      *
      * @example
-     * validator.datetime($('#appointmentTime'), 'YYYY-MM-DD HH:mm', 'Invalid datetime format.');
+     * validator.requiredIf($('#address'), $('#hasAddress'), 'yes', 'Address is required.');
+     *
+     * @example
+     * validator.requiredIf($('#spouseName'), $('#maritalStatus'), ['married', 'divorced']);
      */
-    datetime(element, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
-        this.#setErrorMessage(element);
-        const datetimeValue = element.val();
-        const isValidDatetime = moment(datetimeValue, format, true).isValid();
-        if (element.is('input[type="text"],input[type="datetime-local"]') && !isValidDatetime) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Format tanggal dan waktu tidak sesuai (${format}).`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    requiredIf(element, otherElement, expectedValue, message = '') {
+        return this.#applyRule(element, 'requiredIf', [otherElement, expectedValue], message);
     }
 
     /**
-     * Validates that the input value is a valid time in the specified format.
+     * Validates that the field is required unless another field has one of the given values.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="time">`).
-     * @param {string} [format="HH:mm:ss"] - The expected time format (default is ISO time).
+     * @param {jQuery} element - The field to validate.
+     * @param {jQuery} otherElement - The field whose value determines if validation is required.
+     * @param {string|number|Array<string|number>} expectedValue - The value(s) of `otherElement` that skip validation.
      * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Format waktu tidak sesuai ({format}).'.
+     *                                Defaults to 'Field ini wajib diisi.' if left empty.
      *
-     * @returns {boolean} - Returns `true` if the time is valid, otherwise `false`.
+     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
      *
      * @example
-     * validator.time($('#meetingTime'), 'HH:mm', 'Invalid time format.');
+     * validator.requiredUnless($('#nik'), $('#citizenship'), 'WNA', 'NIK is required for Indonesian citizens.');
      */
-    time(element, format = 'HH:mm:ss', message = '') {
-        this.#setErrorMessage(element);
-        const timeValue = element.val();
-        const isValidTime = moment(timeValue, format, true).isValid();
-        if (element.is('input[type="text"],input[type="time"]') && !isValidTime) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : `Format waktu tidak sesuai (${format}).`);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    requiredUnless(element, otherElement, expectedValue, message = '') {
+        return this.#applyRule(element, 'requiredUnless', [otherElement, expectedValue], message);
+    }
+
+    /**
+     * Validates that the field is required if any of the other fields is filled.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {jQuery|Array<jQuery>} otherElements - The field(s) to check.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Field ini wajib diisi.' if left empty.
+     *
+     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.requiredWith($('#phoneCountry'), $('#phone'), 'Select the country code of the phone number.');
+     */
+    requiredWith(element, otherElements, message = '') {
+        return this.#applyRule(element, 'requiredWith', [[].concat(otherElements)], message);
+    }
+
+    /**
+     * Validates that the field is required if any of the other fields is empty.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {jQuery|Array<jQuery>} otherElements - The field(s) to check.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Field ini wajib diisi.' if left empty.
+     *
+     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.requiredWithout($('#email'), $('#phone'), 'Fill in the email or the phone number.');
+     */
+    requiredWithout(element, otherElements, message = '') {
+        return this.#applyRule(element, 'requiredWithout', [[].concat(otherElements)], message);
+    }
+
+    /**
+     * Validates that the field is required when a condition over other fields holds.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {Object|Array<Object>|Function} condition - The condition. See `testCondition`.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Field ini wajib diisi.' if left empty.
+     *
+     * @returns {boolean} - Returns `true` if validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.requiredWhen($('#guardianName'), { field: $('#age'), lessThan: 17 }, 'Guardian name is required for minors.');
+     */
+    requiredWhen(element, condition, message = '') {
+        return this.#applyRule(element, 'requiredWhen', [condition], message);
+    }
+
+    /**
+     * Validates that the value of the field matches the value of another field.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {jQuery} targetElement - The field to compare against.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Input tidak sama.' if left empty.
+     *
+     * @returns {boolean} - Returns `true` if the values match, otherwise `false`.
+     *
+     * @example
+     * validator.equalTo($('#confirmPassword'), $('#password'), 'Passwords must match.');
+     */
+    equalTo(element, targetElement, message = '') {
+        return this.#applyRule(element, 'equalTo', [targetElement], message);
+    }
+
+    /**
+     * Validates that the field contains a boolean value.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nilai harus berupa boolean.' if left empty.
+     *
+     * @returns {boolean} - Returns `true` if the value is a valid boolean, otherwise `false`.
+     *
+     * @example
+     * validator.boolean($('#subscribe'), 'Invalid boolean value.');
+     */
+    boolean(element, message = '') {
+        return this.#applyRule(element, 'boolean', [], message);
+    }
+
+    // ========================================================================
+    // Text Validation
+    // ========================================================================
+
+    /**
+     * Validates that the input value has at least the specified minimum number of characters.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} length - The minimum number of characters required.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Minimal {length} karakter.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.minLength($('#username'), 5, 'Username must be at least 5 characters.');
+     */
+    minLength(element, length, message = '') {
+        return this.#applyRule(element, 'minLength', [length], message);
+    }
+
+    /**
+     * Validates that the input value does not exceed the specified maximum number of characters.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} length - The maximum number of characters allowed.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Maksimal {length} karakter.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.maxLength($('#bio'), 200, 'Bio must not exceed 200 characters.');
+     */
+    maxLength(element, length, message = '') {
+        return this.#applyRule(element, 'maxLength', [length], message);
+    }
+
+    /**
+     * Validates that the input contains only alphabetic characters (letters, spaces, commas, and periods).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tidak boleh mengandung angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.alphabetic($('#name'), 'Name must only contain letters.');
+     */
+    alphabetic(element, message = '') {
+        return this.#applyRule(element, 'alphabetic', [], message);
+    }
+
+    /**
+     * Validates that the input contains only alphanumeric characters (letters, numbers, and spaces).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Hanya boleh mengandung huruf dan angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.alphanumeric($('#username'), 'Username must only contain letters and numbers.');
+     */
+    alphanumeric(element, message = '') {
+        return this.#applyRule(element, 'alphanumeric', [], message);
+    }
+
+    /**
+     * Validates the input value against a custom regular expression.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {RegExp} regex - The regular expression to test the input against.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Format input tidak sesuai.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * const regex = /^[a-z0-9_-]{3,15}$/; // Username: 3-15 characters, lowercase letters, numbers, _, -
+     * validator.pattern($('#username'), regex, 'Invalid username format.');
+     */
+    pattern(element, regex, message = '') {
+        return this.#applyRule(element, 'pattern', [regex], message);
+    }
+
+    /**
+     * Validates the input value using a custom validator function.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {Function} validatorFunction - A custom function that takes the input value as an argument
+     *                                        and returns `true` if valid, `false` otherwise.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Input tidak valid.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * const isEven = (value) => parseInt(value) % 2 === 0;
+     * validator.custom($('#number'), isEven, 'The number must be even.');
+     */
+    custom(element, validatorFunction, message = '') {
+        return this.#applyRule(element, 'custom', [validatorFunction], message);
+    }
+
+    // ========================================================================
+    // Numeric Validation
+    // ========================================================================
+
+    /**
+     * Validates that the input contains only numeric characters (0-9).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Hanya boleh mengandung angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.numeric($('#age'), 'Age must be a number.');
+     */
+    numeric(element, message = '') {
+        return this.#applyRule(element, 'numeric', [], message);
+    }
+
+    /**
+     * Validates that the input is a number, written with the Indonesian separators (e.g. `1.000.000,50`)
+     * or as a plain number (e.g. `1000000.50`). See `Validator.parseNumber`.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Harus berupa angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.number($('#price'), 'Price must be a number.');
+     */
+    number(element, message = '') {
+        return this.#applyRule(element, 'number', [], message);
+    }
+
+    /**
+     * Validates that the input is a whole number (e.g. `1.500.000`).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Harus berupa bilangan bulat.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.integer($('#quantity'), 'Quantity must be a whole number.');
+     */
+    integer(element, message = '') {
+        return this.#applyRule(element, 'integer', [], message);
+    }
+
+    /**
+     * Validates that the input has at most a given number of decimal places (e.g. `1.250,75` has 2).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} maxPlaces - The maximum number of decimal places.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Maksimal {max} angka di belakang koma.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.decimalPlaces($('#gpa'), 2, 'GPA must have at most 2 decimal places.');
+     */
+    decimalPlaces(element, maxPlaces, message = '') {
+        return this.#applyRule(element, 'decimalPlaces', [maxPlaces], message);
+    }
+
+    /**
+     * Validates that the input is a multiple of a step, counted from a base value, like the `step` attribute.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} step - The step (e.g. `0.25` or `50000`).
+     * @param {number} [base=0] - The value the steps are counted from.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nilai harus kelipatan {step}.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.step($('#tuitionFee'), 50000, 0, 'Tuition fee must be a multiple of Rp50.000.');
+     */
+    step(element, step, base = 0, message = '') {
+        return this.#applyRule(element, 'step', [step, base], message);
+    }
+
+    /**
+     * Validates that the input value is not less than a specified minimum value.
+     *
+     * Formatted values such as `1.000.000` (see `SAT.Format.ToPrice`) are parsed with `Validator.parseNumber`.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} minValue - The minimum value allowed.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nilai minimal adalah {minValue}.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.minValue($('#price'), 100, 'Price must be at least 100.');
+     */
+    minValue(element, minValue, message = '') {
+        return this.#applyRule(element, 'minValue', [minValue], message);
+    }
+
+    /**
+     * Validates that the input value does not exceed a specified maximum value.
+     *
+     * Formatted values such as `1.000.000` are parsed with `Validator.parseNumber`.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} maxValue - The maximum value allowed.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nilai maksimal adalah {maxValue}.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.maxValue($('#discount'), 50, 'Discount must not exceed 50%.');
+     */
+    maxValue(element, maxValue, message = '') {
+        return this.#applyRule(element, 'maxValue', [maxValue], message);
+    }
+
+    /**
+     * Validates that the input value falls within a specified range (inclusive).
+     *
+     * Formatted values such as `1.000.000` are parsed with `Validator.parseNumber`.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input>`, `<textarea>`).
+     * @param {number} minValue - The minimum value allowed.
+     * @param {number} maxValue - The maximum value allowed.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nilai harus antara {minValue} dan {maxValue}.'.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * validator.range($('#temperature'), -10, 50, 'Temperature must be between -10 and 50.');
+     */
+    range(element, minValue, maxValue, message = '') {
+        return this.#applyRule(element, 'range', [minValue, maxValue], message);
+    }
+
+    /**
+     * Parses a number the way the numeric rules (`number`, `integer`, `decimalPlaces`, `step`, `minValue`,
+     * `maxValue` and `range`) read their values.
+     *
+     * With `SAT.js` loaded (or in Node), this is `SAT.Parse.ToNumber`: numbers written with the Indonesian separators
+     * (e.g. `1.000.000` or `Rp 1.250,50`, as produced by `SAT.Format.ToPrice`) and plain numbers are accepted.
+     * Without it, only plain numbers such as `1500.75` are accepted.
+     *
+     * @param {number|string} value - The value to parse.
+     * @param {Object} [separators={}] - The separators of the formatted number (see `SAT.Parse.ToNumber`).
+     *
+     * @returns {number} - The number, or `NaN` if the value is not a number.
+     *
+     * @example
+     * Validator.parseNumber('Rp 1.250,50'); // 1250.5
+     * Validator.parseNumber('1,000.5', { thousands: ',', decimal: '.' }); // 1000.5
+     */
+    static parseNumber(value, separators = {}) {
+        const sat = Validator.#sat();
+        if (sat !== null) return sat.Parse.ToNumber(value, separators);
+        if (typeof value === 'number') return value;
+
+        const text = String(value ?? '').trim();
+        return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    // ========================================================================
+    // File Validation
+    // ========================================================================
+
+    /**
+     * Validates that every uploaded file has an allowed MIME type.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
+     * @param {string[]} allowedTypes - An array of allowed MIME types (e.g., `['image/jpeg', 'image/png']`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Format berkas tidak sesuai.'.
+     *
+     * @returns {boolean} - Returns `true` if the file type is valid, otherwise `false`.
+     *
+     * @example
+     * validator.fileType($('#profilePicture'), ['image/jpeg', 'image/png'], 'Only JPEG and PNG files are allowed.');
+     */
+    fileType(element, allowedTypes, message = '') {
+        return this.#applyRule(element, 'fileType', [allowedTypes], message);
+    }
+
+    /**
+     * Validates that no uploaded file exceeds a specified maximum size.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
+     * @param {number} maxSize - The maximum file size allowed in bytes (e.g., `1048576` for 1 MB).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Ukuran file tidak boleh lebih dari {maxSize} MB.'.
+     *
+     * @returns {boolean} - Returns `true` if the file size is within the allowed limit, otherwise `false`.
+     *
+     * @example
+     * validator.fileSize($('#resume'), 2097152, 'File size must not exceed 2 MB.');
+     */
+    fileSize(element, maxSize, message = '') {
+        return this.#applyRule(element, 'fileSize', [maxSize], message);
+    }
+
+    /**
+     * Validates that every uploaded file has an allowed file extension.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
+     * @param {string[]} allowedExtensions - An array of allowed file extensions (e.g., `['jpg', 'png', 'pdf']`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Ekstensi file tidak diizinkan.'.
+     *
+     * @returns {boolean} - Returns `true` if the file extension is valid, otherwise `false`.
+     *
+     * @example
+     * validator.fileExtension($('#uploadDocument'), ['pdf', 'docx'], 'Only PDF and DOCX files are allowed.');
+     */
+    fileExtension(element, allowedExtensions, message = '') {
+        return this.#applyRule(element, 'fileExtension', [allowedExtensions], message);
+    }
+
+    /**
+     * Validates that at least a specified number of files is selected.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file" multiple>`).
+     * @param {number} minCount - The minimum number of files.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Minimal {min} file.'.
+     *
+     * @returns {boolean} - Returns `true` if enough files are selected, otherwise `false`.
+     *
+     * @example
+     * validator.minFiles($('#certificates'), 2, 'Upload at least 2 certificates.');
+     */
+    minFiles(element, minCount, message = '') {
+        return this.#applyRule(element, 'minFiles', [minCount], message);
+    }
+
+    /**
+     * Validates that at most a specified number of files is selected.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file" multiple>`).
+     * @param {number} maxCount - The maximum number of files.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Maksimal {max} file.'.
+     *
+     * @returns {boolean} - Returns `true` if not too many files are selected, otherwise `false`.
+     *
+     * @example
+     * validator.maxFiles($('#certificates'), 5, 'Upload at most 5 certificates.');
+     */
+    maxFiles(element, maxCount, message = '') {
+        return this.#applyRule(element, 'maxFiles', [maxCount], message);
+    }
+
+    /**
+     * Validates that the combined size of the uploaded files does not exceed a specified maximum.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file" multiple>`).
+     * @param {number} maxSize - The maximum total size in bytes (e.g., `10485760` for 10 MB).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Total ukuran file tidak boleh lebih dari {max} MB.'.
+     *
+     * @returns {boolean} - Returns `true` if the total size is within the allowed limit, otherwise `false`.
+     *
+     * @example
+     * validator.totalFileSize($('#certificates'), 10 * 1024 * 1024, 'The certificates must not exceed 10 MB in total.');
+     */
+    totalFileSize(element, maxSize, message = '') {
+        return this.#applyRule(element, 'totalFileSize', [maxSize], message);
+    }
+
+    /**
+     * Validates the dimensions of every uploaded image by decoding it.
+     *
+     * Files that cannot be decoded as images fail the validation. Like `asyncValidation`, the field is marked
+     * as pending while the images are decoded, and stale checks are cancelled when the selection changes.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file" accept="image/*">`).
+     * @param {Object} constraints - The dimension constraints, in pixels. All of them are optional.
+     * @param {number} [constraints.width] - The exact width.
+     * @param {number} [constraints.height] - The exact height.
+     * @param {number} [constraints.minWidth] - The minimum width.
+     * @param {number} [constraints.maxWidth] - The maximum width.
+     * @param {number} [constraints.minHeight] - The minimum height.
+     * @param {number} [constraints.maxHeight] - The maximum height.
+     * @param {number|string} [constraints.ratio] - The aspect ratio (width / height), as a number or a string such as `'3/4'` or `'16:9'`.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Dimensi gambar tidak sesuai.'. The constraints can be used as placeholders.
+     *
+     * @returns {Promise<boolean>} - Returns `true` if every image is valid, otherwise `false`.
+     *
+     * @throws {Error} - If the `ratio` constraint is not a positive number or a `width/height` (or `width:height`) string.
+     *
+     * @example
+     * await validator.imageDimensions($('#photo'), { minWidth: 300, ratio: '3/4' }, 'The photo must be at least {minWidth} px wide, with a 3:4 ratio.');
+     */
+    imageDimensions(element, constraints, message = '') {
+        Validator.#parseRatio(constraints.ratio);
+        return this.#applyAsyncRule(element, 'imageDimensions', [constraints], message);
+    }
+
+    /**
+     * Validates that the content of every uploaded file matches its MIME type, by reading its magic bytes.
+     *
+     * This rejects files whose extension was changed, such as an executable renamed to `photo.png`.
+     * Files whose MIME type has no entry in `Validator.FILE_SIGNATURES` pass, so combine it with `fileType`.
+     *
+     * @param {jQuery} element - The file input field to validate (e.g., `<input type="file">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Isi file tidak sesuai dengan formatnya.'.
+     *
+     * @returns {Promise<boolean>} - Returns `true` if every file matches its type, otherwise `false`.
+     *
+     * @example
+     * if (validator.fileType($('#photo'), ['image/jpeg', 'image/png'])) {
+     *   await validator.fileSignature($('#photo'));
+     * }
+     */
+    fileSignature(element, message = '') {
+        return this.#applyAsyncRule(element, 'fileSignature', [], message);
+    }
+
+    // ========================================================================
+    // Date and Time Validation
+    // ========================================================================
+
+    /**
+     * Validates that the input value is a valid date in the specified format.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal tidak sesuai format {format}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.date($('#birthDate'), 'YYYY-MM-DD', 'Invalid date format.');
+     */
+    date(element, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'date', [format], message);
+    }
+
+    /**
+     * Validates that the input value is a valid datetime in the specified format.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
+     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Format tanggal dan waktu tidak sesuai ({format}).'.
+     *
+     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     *
+     * @example
+     * validator.datetime($('#appointmentTime'), 'YYYY-MM-DD HH:mm', 'Invalid datetime format.');
+     */
+    datetime(element, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
+        return this.#applyRule(element, 'datetime', [format], message);
+    }
+
+    /**
+     * Validates that the input value is a valid time in the specified format.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="time">`).
+     * @param {string} [format="HH:mm:ss"] - The expected time format (default is ISO time).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Format waktu tidak sesuai ({format}).'.
+     *
+     * @returns {boolean} - Returns `true` if the time is valid, otherwise `false`.
+     *
+     * @example
+     * validator.time($('#meetingTime'), 'HH:mm', 'Invalid time format.');
+     */
+    time(element, format = 'HH:mm:ss', message = '') {
+        return this.#applyRule(element, 'time', [format], message);
+    }
+
+    /**
+     * Validates that the input date is not earlier than the specified minimum date.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
+     * @param {string} minDate - The minimum date allowed, in the specified format.
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal tidak boleh sebelum {minDate}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.minDate($('#eventDate'), '2023-01-01', 'YYYY-MM-DD', 'Date cannot be earlier than January 1, 2023.');
+     */
+    minDate(element, minDate, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'minDate', [minDate, format], message);
+    }
+
+    /**
+     * Validates that the input date is not later than the specified maximum date.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
+     * @param {string} maxDate - The maximum date allowed, in the specified format.
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal tidak boleh setelah {maxDate}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.maxDate($('#eventDate'), '2023-12-31', 'YYYY-MM-DD', 'Date cannot be later than December 31, 2023.');
+     */
+    maxDate(element, maxDate, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'maxDate', [maxDate, format], message);
+    }
+
+    /**
+     * Validates that the input datetime is not earlier than the specified minimum datetime.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
+     * @param {string} minDatetime - The minimum datetime allowed, in the specified format.
+     * @param {string|string[]} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime),
+     *                                                       or a list of accepted formats.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal dan waktu tidak boleh sebelum {minDatetime}.'.
+     *
+     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     *
+     * @example
+     * validator.minDatetime($('#appointmentTime'), '2023-01-01 08:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime cannot be earlier than January 1, 2023, 8:00 AM.');
+     */
+    minDatetime(element, minDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
+        return this.#applyRule(element, 'minDatetime', [minDatetime, format], message);
+    }
+
+    /**
+     * Validates that the input datetime is not later than the specified maximum datetime.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
+     * @param {string} maxDatetime - The maximum datetime allowed, in the specified format.
+     * @param {string|string[]} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime),
+     *                                                       or a list of accepted formats.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal dan waktu tidak boleh setelah {maxDatetime}.'.
+     *
+     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     *
+     * @example
+     * validator.maxDatetime($('#appointmentTime'), '2023-12-31 18:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime cannot be later than December 31, 2023, 6:00 PM.');
+     */
+    maxDatetime(element, maxDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
+        return this.#applyRule(element, 'maxDatetime', [maxDatetime, format], message);
+    }
+
+    /**
+     * Validates that the input date falls within a specified range.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
+     * @param {string} startDate - The start date of the range, in the specified format.
+     * @param {string} endDate - The end date of the range, in the specified format.
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal harus antara {startDate} dan {endDate}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.dateBetween($('#eventDate'), '2023-01-01', '2023-12-31', 'YYYY-MM-DD', 'Date must be between January 1 and December 31, 2023.');
+     */
+    dateBetween(element, startDate, endDate, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'dateBetween', [startDate, endDate, format], message);
+    }
+
+    /**
+     * Validates that the input datetime falls within a specified range.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
+     * @param {string} startDatetime - The start datetime of the range, in the specified format.
+     * @param {string} endDatetime - The end datetime of the range, in the specified format.
+     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal dan waktu harus antara {startDatetime} dan {endDatetime}.'.
+     *
+     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     *
+     * @example
+     * validator.datetimeBetween($('#appointmentTime'), '2023-01-01 08:00:00', '2023-12-31 18:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime must be between January 1, 2023, 8:00 AM and December 31, 2023, 6:00 PM.');
+     */
+    datetimeBetween(element, startDatetime, endDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
+        return this.#applyRule(element, 'datetimeBetween', [startDatetime, endDatetime, format], message);
+    }
+
+    /**
+     * Validates that the input date is after the date of another field.
+     *
+     * Passes when the other field does not contain a valid date, so that field can report its own error.
+     *
+     * @param {jQuery} element - The input field to validate.
+     * @param {jQuery} otherElement - The field containing the date to compare against.
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format of both fields (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal harus setelah {date}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.dateAfter($('#endDate'), $('#startDate'), 'DD/MM/YYYY', 'End date must be after the start date.');
+     */
+    dateAfter(element, otherElement, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'dateAfter', [otherElement, format], message);
+    }
+
+    /**
+     * Validates that the input date is before the date of another field.
+     *
+     * Passes when the other field does not contain a valid date, so that field can report its own error.
+     *
+     * @param {jQuery} element - The input field to validate.
+     * @param {jQuery} otherElement - The field containing the date to compare against.
+     * @param {string} [format="YYYY-MM-DD"] - The expected date format of both fields (default is ISO date).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Tanggal harus sebelum {date}.'.
+     *
+     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     *
+     * @example
+     * validator.dateBefore($('#graduationDate'), $('#registrationDate'));
+     */
+    dateBefore(element, otherElement, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'dateBefore', [otherElement, format], message);
+    }
+
+    // ========================================================================
+    // Format Validation
+    // ========================================================================
+
+    /**
+     * Validates that the input value is a valid email address.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="email">`, `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Email tidak sesuai format'.
+     *
+     * @returns {boolean} - Returns `true` if the email is valid, otherwise `false`.
+     *
+     * @example
+     * validator.email($('#email'), 'Please enter a valid email address.');
+     */
+    email(element, message = '') {
+        return this.#applyRule(element, 'email', [], message);
+    }
+
+    /**
+     * Validates that the input value is a valid URL.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="url">`, `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'URL tidak sesuai format.'.
+     *
+     * @returns {boolean} - Returns `true` if the URL is valid, otherwise `false`.
+     *
+     * @example
+     * validator.url($('#website'), 'Please enter a valid URL.');
+     */
+    url(element, message = '') {
+        return this.#applyRule(element, 'url', [], message);
+    }
+
+    /**
+     * Validates that the input value is a valid Indonesian phone number: a mobile number (see `mobileNumber`)
+     * or a landline number with its area code (e.g. `021-555-1234` or `+62 274 512345`), as checked by
+     * `SAT.Phone.Validate(value, { landline: true })`. Without `SAT.js`, any value made of digits, spaces, `+`, `-`
+     * and parentheses is accepted.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="tel">`, `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nomor telepon tidak valid.'.
+     *
+     * @returns {boolean} - Returns `true` if the phone number format is valid, otherwise `false`.
+     *
+     * @example
+     * validator.phoneNumber($('#contact'), 'Please enter a valid phone number.');
+     */
+    phoneNumber(element, message = '') {
+        return this.#applyRule(element, 'phoneNumber', [], message);
+    }
+
+    /**
+     * Validates that the input value is a valid Indonesian mobile number.
+     *
+     * Uses `SAT.Phone.Validate`, so it accepts exactly the numbers that `SAT.Phone.Normalize` and
+     * `SAT.Format.ToPhoneNumber` can handle: `08xx`, `628xx` or `+628xx`, with 9 to 12 digits after the country code
+     * and a prefix of `SAT.Phone.OPERATORS`. Requires `SAT.js` (required automatically in Node).
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="tel">`, `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Nomor HP tidak valid.'.
+     *
+     * @returns {boolean} - Returns `true` if the mobile number is valid, otherwise `false`.
+     *
+     * @example
+     * if (validator.mobileNumber($('#phone'))) {
+     *   const phone = SAT.Phone.Normalize($('#phone').val()); // "+6281234567890"
+     * }
+     */
+    mobileNumber(element, message = '') {
+        return this.#applyRule(element, 'mobileNumber', [], message);
+    }
+
+    // ========================================================================
+    // Indonesian Identity Validation
+    // ========================================================================
+
+    /**
+     * Validates that the input value is a valid NIK (Nomor Induk Kependudukan).
+     *
+     * An NIK has 16 digits: a province code, a regency and district code, the birth date (`DDMMYY`, with 40 added
+     * to the day for women) and a sequence number. Each part is checked, including that the birth date exists.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'NIK tidak valid.'.
+     *
+     * @returns {boolean} - Returns `true` if the NIK is valid, otherwise `false`.
+     *
+     * @example
+     * validator.nik($('#nik'), 'Please enter a valid NIK.');
+     */
+    nik(element, message = '') {
+        return this.#applyRule(element, 'nik', [], message);
+    }
+
+    /**
+     * Validates that the gender encoded in the NIK matches the value of a gender field.
+     *
+     * The gender field may contain `L`/`P`, `Laki-laki`/`Perempuan` or `M`/`F`. Passes if the gender field is empty.
+     *
+     * @param {jQuery} element - The NIK field to validate.
+     * @param {jQuery} genderElement - The gender field to compare against.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'NIK tidak sesuai dengan jenis kelamin.'.
+     *
+     * @returns {boolean} - Returns `true` if the genders match, otherwise `false`.
+     *
+     * @example
+     * validator.nikGender($('#nik'), $('input[name="gender"]'), 'NIK does not match the selected gender.');
+     */
+    nikGender(element, genderElement, message = '') {
+        return this.#applyRule(element, 'nikGender', [genderElement], message);
+    }
+
+    /**
+     * Validates that the birth date encoded in the NIK matches the value of a birth date field.
+     *
+     * Passes if the birth date field is empty or invalid (validate it separately with `date`).
+     *
+     * @param {jQuery} element - The NIK field to validate.
+     * @param {jQuery} birthDateElement - The birth date field to compare against.
+     * @param {string} [format="YYYY-MM-DD"] - The format of the birth date field.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'NIK tidak sesuai dengan tanggal lahir.'.
+     *
+     * @returns {boolean} - Returns `true` if the birth dates match, otherwise `false`.
+     *
+     * @example
+     * validator.nikBirthDate($('#nik'), $('#birthDate'), 'DD/MM/YYYY', 'NIK does not match the birth date.');
+     */
+    nikBirthDate(element, birthDateElement, format = 'YYYY-MM-DD', message = '') {
+        return this.#applyRule(element, 'nikBirthDate', [birthDateElement, format], message);
+    }
+
+    /**
+     * Validates that the input value is a valid NPWP (Nomor Pokok Wajib Pajak).
+     *
+     * Accepts the old 15-digit format, either plain or formatted (`99.999.999.9-999.999`),
+     * and the new 16-digit format.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'NPWP harus terdiri dari 15 atau 16 digit angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the NPWP is valid, otherwise `false`.
+     *
+     * @example
+     * validator.npwp($('#npwp'), 'Please enter a valid NPWP.');
+     */
+    npwp(element, message = '') {
+        return this.#applyRule(element, 'npwp', [], message);
+    }
+
+    /**
+     * Validates that the input value is a valid NISN (Nomor Induk Siswa Nasional), made of 10 digits.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'NISN harus terdiri dari 10 digit angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the NISN is valid, otherwise `false`.
+     *
+     * @example
+     * validator.nisn($('#nisn'), 'Please enter a valid NISN.');
+     */
+    nisn(element, message = '') {
+        return this.#applyRule(element, 'nisn', [], message);
+    }
+
+    /**
+     * Validates that the input value is a valid Indonesian postal code, made of 5 digits not starting with 0.
+     *
+     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`).
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Kode pos harus terdiri dari 5 digit angka.'.
+     *
+     * @returns {boolean} - Returns `true` if the postal code is valid, otherwise `false`.
+     *
+     * @example
+     * validator.postalCode($('#postalCode'), 'Please enter a valid postal code.');
+     */
+    postalCode(element, message = '') {
+        return this.#applyRule(element, 'postalCode', [], message);
+    }
+
+    /**
+     * Parses an NIK into its parts.
+     *
+     * The birth year only has two digits in the NIK: years later than the current year are assumed to be in the 1900s.
+     *
+     * @param {string} nik - The NIK to parse.
+     *
+     * @returns {{provinceCode: string, regencyCode: string, districtCode: string, birthDate: string, gender: string, sequence: string}|null}
+     *          - The NIK parts (`birthDate` in YYYY-MM-DD format, `gender` as `L` or `P`), or `null` if the NIK is invalid.
+     *
+     * @example
+     * Validator.parseNik('3201014512990001');
+     * // { provinceCode: '32', regencyCode: '01', districtCode: '01', birthDate: '1999-12-05', gender: 'P', sequence: '0001' }
+     */
+    static parseNik(nik) {
+        const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{4})$/.exec(nik ?? '');
+        if (!match) return null;
+
+        const [, provinceCode, regencyCode, districtCode, encodedDay, month, shortYear, sequence] = match;
+        const gender = parseInt(encodedDay) > 40 ? 'P' : 'L';
+        const day = parseInt(encodedDay) - (gender === 'P' ? 40 : 0);
+        const year = parseInt(shortYear) + (parseInt(shortYear) > new Date().getFullYear() % 100 ? 1900 : 2000);
+        const date = new Date(year, parseInt(month) - 1, day);
+
+        if (!Validator.PROVINCE_CODES.includes(provinceCode) || regencyCode === '00' || districtCode === '00' || sequence === '0000') {
+            return null;
+        } else if (date.getFullYear() !== year || date.getMonth() !== parseInt(month) - 1 || date.getDate() !== day) {
+            return null;
+        }
+
+        const birthDate = `${year}-${month}-${String(day).padStart(2, '0')}`;
+        return { provinceCode, regencyCode, districtCode, birthDate, gender, sequence };
+    }
+
+    // ========================================================================
+    // Password Validation
+    // ========================================================================
+
+    /**
+     * Validates a password against a password policy.
+     *
+     * The policy is merged into `Validator.PASSWORD_POLICY`. Personal fields (`username` and `email` by default)
+     * are read from the form of the password field, and the password is re-validated when they change.
+     * Use `passwordMeter` to show which requirements are unmet while the user types.
+     *
+     * @param {jQuery} element - The password field to validate.
+     * @param {Object|number} [policy={}] - The policy overrides (see `Validator.PASSWORD_POLICY`), or the minimum length.
+     * @param {string} [message=""] - Custom error message. Defaults to the `password` message.
+     *
+     * @returns {boolean} - Returns `true` if the password meets the policy, otherwise `false`.
+     *
+     * @example
+     * validator.password($('#password'), { minLength: 10, personalFields: ['username', 'email', 'fullName'] });
+     * validator.equalTo($('#confirmPassword'), $('#password'), 'Passwords must match.');
+     */
+    password(element, policy = {}, message = '') {
+        return this.#applyRule(element, 'password', [policy], message);
+    }
+
+    /**
+     * Displays the strength of a password and the requirements it does not meet yet, updated while the user types.
+     *
+     * The meter reuses the `.progress` component: the width of its `.progress-bar` follows the strength score,
+     * and its color goes from `bg-danger` to `bg-success`. The requirements are listed in the given container,
+     * each marked as met (`text-success`) or unmet (`text-danger`). Call `destroy` to remove the event handlers.
+     *
+     * @param {jQuery} element - The password field.
+     * @param {Object} [options={}] - The meter options.
+     * @param {jQuery|string|null} [options.meter=null] - The `.progress` element.
+     * @param {jQuery|string|null} [options.requirements=null] - The container of the requirement list.
+     * @param {Object|number} [options.policy={}] - The policy overrides, as in `password`.
+     *
+     * @returns {Validator} - The validator instance, for chaining.
+     *
+     * @example
+     * // HTML
+     * <input type="password" id="password" name="password" />
+     * <div class="progress" id="passwordMeter"><div class="progress-bar"></div></div>
+     * <ul id="passwordRequirements"></ul>
+     *
+     * // JavaScript
+     * validator.passwordMeter($('#password'), { meter: '#passwordMeter', requirements: '#passwordRequirements' });
+     */
+    passwordMeter(element, { meter = null, requirements = null, policy = {} } = {}) {
+        const get = this.#createGetter(element.closest('form'));
+        const bar = meter === null ? $() : $(meter).find('.progress-bar');
+        const list = requirements === null ? $() : $(requirements).attr('aria-live', 'polite');
+        const colors = ['bg-danger', 'bg-danger', 'bg-warning', 'bg-info', 'bg-success'];
+        const render = () => {
+            const value = String(this.#readValue(element) ?? '');
+            const { score, strength, requirements: checks } = Validator.passwordStrength(value, policy, { get, locale: this.locale });
+
+            bar.removeClass(colors.join(' '))
+                .addClass(colors[score])
+                .css('width', value === '' ? '0%' : `${(score + 1) * 20}%`)
+                .attr({ role: 'progressbar', 'aria-valuemin': 0, 'aria-valuemax': 4, 'aria-valuenow': score, 'aria-valuetext': strength })
+                .text(value === '' ? '' : strength);
+            list.empty().append(checks.map(({ name, met, message }) =>
+                $('<li>').attr('data-requirement', name).toggleClass('text-success', met).toggleClass('text-danger', !met).text(message)
+            ));
+        };
+
+        this.#meters.add(element.get(0));
+        element.off(`${this.#namespace}.meter`).on(`input${this.#namespace}.meter change${this.#namespace}.meter`, render);
+        render();
+        return this;
+    }
+
+    /**
+     * Scores a password and checks it against a password policy.
+     *
+     * The score goes from 0 (very weak) to 4 (very strong) and grows with the length and the number of character
+     * classes. A password that does not meet the policy scores at most 1.
+     *
+     * @param {string} password - The password to check.
+     * @param {Object|number} [policy={}] - The policy overrides (see `Validator.PASSWORD_POLICY`), or the minimum length.
+     * @param {Object} [options={}] - Additional options.
+     * @param {Function} [options.get] - Reads the personal fields by name. Defaults to no personal values.
+     * @param {string} [options.locale] - The locale of the messages. Defaults to `Validator.defaultLocale`.
+     *
+     * @returns {{score: number, strength: string, requirements: Array<{name: string, met: boolean, message: string}>, unmet: string[]}}
+     *          - The score, its label, every requirement of the policy and the names of the unmet requirements.
+     *
+     * @example
+     * Validator.passwordStrength('Password123');
+     * // { score: 1, strength: 'Lemah', unmet: ['symbol', 'common'], requirements: [...] }
+     *
+     * Validator.passwordStrength('budi.2024!Kampus', {}, { get: (field) => ({ username: 'budi' })[field] });
+     * // { score: 1, strength: 'Lemah', unmet: ['personal'], requirements: [...] }
+     */
+    static passwordStrength(password, policy = {}, { get = () => null, locale = Validator.defaultLocale } = {}) {
+        const options = { ...Validator.PASSWORD_POLICY, ...(typeof policy === 'number' ? { minLength: policy } : policy) };
+        const value = String(password ?? '');
+        const lowered = value.toLowerCase();
+        const classes = {
+            lowercase: /[a-z]/.test(value),
+            uppercase: /[A-Z]/.test(value),
+            number: /\d/.test(value),
+            symbol: /[^A-Za-z0-9]/.test(value)
+        };
+        const personalValues = options.personalFields
+            .map(field => String(get(field) ?? '').toLowerCase().split('@')[0])
+            .flatMap(personal => [personal, ...personal.split(/[^a-z0-9]+/)])
+            .filter(personal => personal.length >= 3);
+
+        const requirements = [
+            { name: 'minLength', met: value.length >= options.minLength, message: Validator.translate('passwordMinLength', { min: options.minLength }, locale) },
+            ...Object.keys(classes).filter(name => options[name]).map(name => ({
+                name, met: classes[name], message: Validator.translate(`password${name[0].toUpperCase()}${name.substring(1)}`, {}, locale)
+            })),
+            ...(options.personalFields.length > 0 ? [{
+                name: 'personal', met: !personalValues.some(personal => lowered.includes(personal)), message: Validator.translate('passwordPersonal', {}, locale)
+            }] : []),
+            ...(options.common ? [{
+                name: 'common',
+                met: !Validator.COMMON_PASSWORDS.has(lowered) && !Validator.COMMON_PASSWORDS.has(lowered.replace(/[^a-z]+$/, '')),
+                message: Validator.translate('passwordCommon', {}, locale)
+            }] : [])
+        ];
+        const unmet = requirements.filter(({ met }) => !met).map(({ name }) => name);
+
+        const variety = Object.values(classes).filter(Boolean).length;
+        const length = [options.minLength, 12, 16].filter(minimum => value.length >= minimum).length;
+        const score = Math.max(0, Math.min(unmet.length > 0 ? 1 : 4, variety + length - 3));
+
+        return { score, strength: Validator.translate(`passwordScore${score}`, {}, locale), requirements, unmet };
+    }
+
+    // ========================================================================
+    // Asynchronous Validation
+    // ========================================================================
+
+    /**
+     * Performs asynchronous validation using a provided validator function.
+     *
+     * While the check is running, the field is marked as pending (`is-pending` class and `aria-busy`).
+     * The validator function receives an `AbortSignal`, which is aborted when the check becomes stale:
+     * - If the field value changes while checking, the check is cancelled and the new value is validated instead.
+     * - If another check of the same field starts, the previous one is cancelled and resolves with the newest result.
+     * - If the validator is reset or destroyed, the check is cancelled and resolves to `false`.
+     *
+     * @param {jQuery} element - The input field to validate.
+     * @param {Function} asyncValidatorFunction - A function receiving the value and `{ signal }`, and returning
+     *                                            a `Promise` resolving to `true` if valid and `false` otherwise.
+     * @param {string} [message=""] - Custom error message to display if validation fails.
+     *                                Defaults to 'Input tidak valid.'.
+     *
+     * @returns {Promise<boolean>} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @example
+     * async function isUsernameAvailable(value, { signal }) {
+     *     const response = await fetch(`/api/check-username?username=${value}`, { signal });
+     *     const result = await response.json();
+     *     return result.available;
+     * }
+     *
+     * await validator.asyncValidation($('#username'), isUsernameAvailable, 'Username is already taken.');
+     */
+    asyncValidation(element, asyncValidatorFunction, message = '') {
+        return this.#applyAsyncRule(element, 'asyncValidation', [asyncValidatorFunction], message);
+    }
+
+    // ========================================================================
+    // Schema Validation
+    // ========================================================================
+
+    /**
+     * Validates a form or a plain data object against a declarative schema.
+     *
+     * The schema maps field names to a list of rules from `Validator.rules`. Each list can be written as:
+     * - A pipe-separated string, with arguments after a colon: `'required|email|maxLength:50'`.
+     * - An array mixing rule strings and objects: `['required', { rule: 'range', args: [18, 99], message: '...' }]`.
+     *
+     * Rule objects accept a `when` condition over other fields (see `testCondition`); the rule only runs while it holds.
+     *
+     * Form fields are looked up by `name` (also `name[]`) and then by `id`. Fields missing from the form are skipped.
+     *
+     * Repeatable groups (rows added and removed dynamically) use wildcard paths: `education[*].year` validates
+     * every field named `education[0][year]`, `education[1][year]`, ..., and reports its errors by row
+     * (`education.0.year`). Rules of the group itself, such as `minRows` and `maxRows`, are written on the group name,
+     * and their message is rendered in the element with a matching `data-error-for` attribute.
+     * Inside a row, cross-field rules can refer to the other fields of the same row with a wildcard
+     * (e.g. `dateAfter:education[*].start`).
+     * Fields without an implicit rule (such as `required`) are optional: empty values skip their remaining rules.
+     * When validating a form, failed fields are marked using `parentClass` and `messageClass` like the other methods.
+     *
+     * @param {Object<string, string|Array<string|Object>>} schema - The field names and their rules.
+     * @param {jQuery|HTMLFormElement|Object} target - The form to validate, or a plain object of field values.
+     *
+     * @returns {{valid: boolean, errors: Object<string, string[]>}} - The validation result.
+     *                                                                 `errors` maps each failed field to its messages.
+     *
+     * @example
+     * const result = validator.validateSchema({
+     *   name: 'required|alphabetic|maxLength:100',
+     *   age: 'required|numeric|range:18,99',
+     *   birthDate: 'date:DD/MM/YYYY',
+     *   document: ['required', 'fileExtension:pdf,docx', { rule: 'fileSize', args: [2097152], message: 'Max 2 MB.' }]
+     * }, $('#registrationForm'));
+     *
+     * @example
+     * // Validate a plain data object
+     * const result = validator.validateSchema({ email: 'required|email' }, { email: 'john@example' });
+     * // result -> { valid: false, errors: { email: ['Email tidak sesuai format'] } }
+     *
+     * @example
+     * // Repeatable group
+     * // <div data-error-for="family"></div>
+     * // <input name="family[0][name]"> <input name="family[0][nik]"> ...
+     * validator.validateSchema({
+     *   family: 'minRows:1|maxRows:5',
+     *   'family[*].name': 'required',
+     *   'family[*].nik': 'required|nik|distinct'
+     * }, $('#registrationForm'));
+     * // result.errors -> { 'family.1.nik': ['Nilai ini sudah digunakan pada baris lain.'] }
+     */
+    validateSchema(schema, target) {
+        const isForm = Validator.#isElement(target);
+        const form = isForm ? $(target) : null;
+        const errors = {};
+        const recordFailures = (field, failures) => {
+            errors[field] = failures.map(({ message }) => message);
+            this.errors += failures.length;
+            failures.forEach(({ rule, message }) => this.errorMessages.push({ element: field, field: field, rule: rule, message: message }));
+        };
+
+        // Reject unsupported rules before any field is rendered
+        Object.values(schema).forEach(definition => Validator.#parseRules(definition));
+
+        if (!isForm) {
+            Validator.#expandData(schema, target).forEach(({ field, definition, value, context }) => {
+                const failures = Validator.#runRules(definition, value, { field, kind: 'text', locale: this.locale, ...context });
+                if (failures.length > 0) recordFailures(field, failures);
+            });
+            return { valid: Object.keys(errors).length === 0, errors };
+        }
+
+        this.#expandForm(schema, form).forEach(({ field, definition, element, group, indexes, row, rows }) => {
+            if (group) {
+                const failures = Validator.#runRules(definition, this.#readRows(form, field), { field, kind: 'text', locale: this.locale, get: this.#createGetter(form) });
+                form.find(`[data-error-for="${field}"]`).html(failures[0]?.message ?? '');
+                if (failures.length > 0) recordFailures(field, failures);
+                return;
+            }
+            if (element.length === 0) return;
+
+            this.#fieldNames.set(element.get(0), field);
+            const context = {
+                field,
+                label: this.#fieldLabel(element),
+                kind: this.#fieldKind(element),
+                locale: this.locale,
+                get: Validator.#bindRow(this.#createGetter(form, element), indexes),
+                row,
+                get rows() { return rows?.(); }
+            };
+            const failures = Validator.#runRules(definition, this.#readValue(element), context);
+            const check = () => Validator.#runRules(definition, this.#readValue(element), context)[0] ?? null;
+
+            this.#setErrorMessage(element);
+            if (this.live) this.#watch(element, 'schema', check);
+            if (failures.length === 0) return;
+
+            errors[field] = failures.map(({ message }) => message);
+            this.errors += failures.length;
+            this.#setErrorMessage(element, failures[0].message, failures[0].rule);
+            failures.slice(1).forEach(({ rule, message }) => this.#recordError(element, message, rule));
+            this.#watch(element, 'schema', check);
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Validates a form using the rules declared in its markup, so simple forms need no rule code.
+     *
+     * The rules are inferred by `inferSchema` and validated with `validateSchema`.
+     * Add the `novalidate` attribute to the form to replace the native browser bubbles with the validator messages.
+     *
+     * @param {jQuery|HTMLFormElement} form - The form to validate.
+     *
+     * @returns {{valid: boolean, errors: Object<string, string[]>}} - The validation result. See `validateSchema`.
+     *
+     * @example
+     * // HTML
+     * <form id="registrationForm" novalidate>
+     *   <input type="text" name="name" required maxlength="100" />
+     *   <input type="email" name="email" required />
+     *   <input type="number" name="age" min="18" max="99" />
+     *   <input type="text" name="nik" required data-rule-nik />
+     *   <input type="file" name="document" data-rule-file-extension="pdf,docx" />
+     * </form>
+     *
+     * // JavaScript
+     * $('#registrationForm').on('submit', function (e) {
+     *   e.preventDefault();
+     *   validator.reset();
+     *   if (validator.validateAttributes(this).valid) this.submit();
+     * });
+     */
+    validateAttributes(form) {
+        return this.validateSchema(Validator.inferSchema(form), form);
+    }
+
+    /**
+     * Builds a schema from the validation attributes of the fields of a form.
+     *
+     * Native attributes are mapped to rules:
+     * - `required` -> `required`
+     * - `type="email"` / `type="url"` -> `email` / `url`
+     * - `minlength` / `maxlength` -> `minLength` / `maxLength`
+     * - `min` / `max` -> `minValue` / `maxValue`, or `minDate` / `maxDate` and `minDatetime` / `maxDatetime`
+     *   for `type="date"` and `type="datetime-local"`
+     * - `step` -> `step` (counted from `min`) for `type="number"` and `type="range"`
+     * - `pattern` -> `pattern` (matching the whole value, like the browser). Invalid patterns are ignored.
+     *
+     * Any rule of `Validator.rules` can be added with a `data-rule-*` attribute, written in kebab case, whose value
+     * holds the arguments like a schema string (e.g. `data-rule-min-length="5"`, `data-rule-file-extension="pdf,docx"`,
+     * `data-rule-nik`). Use `data-rule-*="false"` to drop an inferred rule.
+     *
+     * Disabled fields, buttons and hidden inputs are skipped. Fields are keyed by `name` (without `[]`), or by `id`.
+     *
+     * @param {jQuery|HTMLFormElement} form - The form to scan.
+     *
+     * @returns {Object<string, Array<string|Object>>} - The schema, which can be extended before calling `validateSchema`.
+     *
+     * @example
+     * Validator.inferSchema($('#registrationForm'));
+     * // { name: ['required', 'maxLength:100'], email: ['required', 'email'], age: ['minValue:18', 'maxValue:99'], ... }
+     */
+    static inferSchema(form) {
+        const schema = {};
+        $(form).find('input,select,textarea')
+            .not(':disabled,[type="hidden"],[type="submit"],[type="button"],[type="reset"],[type="image"]')
+            .each((index, input) => {
+                const field = (input.getAttribute('name') ?? '').replace(/\[\]$/, '') || input.id;
+                if (!field) return;
+
+                const rules = new Map((schema[field] ?? []).map(rule => [typeof rule === 'string' ? rule.split(':')[0] : rule.rule, rule]));
+                Validator.#inferRules(input).forEach((rule, name) => rule === null ? rules.delete(name) : rules.set(name, rule));
+                if (rules.size > 0) schema[field] = [...rules.values()];
+            });
+        return schema;
+    }
+
+    // ========================================================================
+    // Wizard Validation
+    // ========================================================================
+
+    /**
+     * Splits a form into wizard steps, so each step can be validated on its own.
+     *
+     * Each step container holds some of the form fields. Only the current step is displayed; the others get `d-none`.
+     * Steps are validated against the given schema, or against the rules inferred from the field attributes
+     * (see `inferSchema`) when no schema is given. Disabled fields and fields inside a `d-none` or `hidden` element,
+     * such as the ones hidden by `SAT.Element.Vanish`, are skipped.
+     *
+     * @param {jQuery|HTMLFormElement} form - The form containing the steps.
+     * @param {Object} [options={}] - The wizard options.
+     * @param {string} [options.steps="[data-step]"] - The selector of the step containers, in order.
+     * @param {Object|null} [options.schema=null] - The schema of the whole form. Defaults to the inferred rules.
+     * @param {Function|null} [options.onStepChange=null] - Called with the new and previous step indexes
+     *                                                       when the current step changes.
+     *
+     * @returns {Validator} - The validator, for chaining.
+     *
+     * @example
+     * // HTML
+     * <form id="registrationForm" novalidate>
+     *   <div data-step>...personal data...</div>
+     *   <div data-step class="d-none">...education...</div>
+     *   <div data-step class="d-none">...documents...</div>
+     * </form>
+     *
+     * // JavaScript
+     * const validator = new Validator().defineSteps($('#registrationForm'), {
+     *   schema: registrationSchema,
+     *   onStepChange: (step) => $('#stepTitle').text(`Langkah ${step + 1}`)
+     * });
+     *
+     * $('#next').on('click', () => validator.nextStep());
+     * $('#previous').on('click', () => validator.previousStep());
+     */
+    defineSteps(form, { steps = '[data-step]', schema = null, onStepChange = null } = {}) {
+        this.#wizard = { form: $(form), steps: $(form).find(steps), schema, current: 0, completed: new Set(), onStepChange };
+        this.#showStep(0);
+        return this;
+    }
+
+    /**
+     * The index of the current wizard step.
+     *
+     * @returns {number}
+     */
+    get currentStep() {
+        return this.#requireWizard().current;
+    }
+
+    /**
+     * The indexes of the wizard steps that passed validation, in ascending order.
+     *
+     * @returns {number[]}
+     */
+    get completedSteps() {
+        return [...this.#requireWizard().completed].sort((a, b) => a - b);
+    }
+
+    /**
+     * Validates the visible and enabled fields of a wizard step, and marks it as completed if they are valid.
+     *
+     * The previous errors of the step are cleared first, so it can be validated many times.
+     *
+     * @param {number} [index=this.currentStep] - The index of the step.
+     *
+     * @returns {{valid: boolean, errors: Object<string, string[]>}} - The validation result. See `validateSchema`.
+     *
+     * @example
+     * const { valid, errors } = validator.validateStep(0);
+     */
+    validateStep(index = this.currentStep) {
+        const wizard = this.#requireWizard();
+        const step = wizard.steps.get(index);
+        const schema = wizard.schema ?? Validator.inferSchema(step);
+        const stepSchema = Object.fromEntries(Object.entries(schema).filter(([field, definition]) =>
+            this.#expandForm({ [field]: definition }, wizard.form).some(({ element }) =>
+                element.length > 0 && $.contains(step, element.get(0)) && !this.#isSkipped(element, step)
+            )
+        ));
+
+        this.reset(step);
+        const result = this.validateSchema(stepSchema, wizard.form);
+        result.valid ? wizard.completed.add(index) : wizard.completed.delete(index);
+        return result;
+    }
+
+    /**
+     * Validates the current step and, if it is valid, moves to the next one.
+     *
+     * @returns {boolean} - `true` if the wizard moved to the next step.
+     *
+     * @example
+     * $('#next').on('click', () => {
+     *   if (!validator.nextStep()) validator.focusFirstInvalid();
+     * });
+     */
+    nextStep() {
+        const wizard = this.#requireWizard();
+        if (!this.validateStep(wizard.current).valid || wizard.current >= wizard.steps.length - 1) return false;
+
+        this.#showStep(wizard.current + 1);
+        return true;
+    }
+
+    /**
+     * Moves to the previous step, without validating the current one.
+     *
+     * @returns {boolean} - `true` if the wizard moved to the previous step.
+     */
+    previousStep() {
+        const wizard = this.#requireWizard();
+        if (wizard.current === 0) return false;
+
+        this.#showStep(wizard.current - 1);
+        return true;
+    }
+
+    /**
+     * Moves to a step. Going forward is only allowed when every step before it is completed.
+     *
+     * @param {number} index - The index of the step.
+     *
+     * @returns {boolean} - `true` if the wizard moved to the step.
+     *
+     * @example
+     * // Step indicator
+     * $('.step-indicator').on('click', function () {
+     *   validator.goToStep($(this).index());
+     * });
+     */
+    goToStep(index) {
+        const wizard = this.#requireWizard();
+        if (index < 0 || index >= wizard.steps.length) return false;
+        for (let step = 0; step < index; step++) {
+            if (!wizard.completed.has(step)) return false;
+        }
+
+        this.#showStep(index);
+        return true;
+    }
+
+    /**
+     * Validates every step before submitting the form, and moves to the first invalid step.
+     *
+     * @returns {{valid: boolean, errors: Object<string, string[]>, step: number|null}} - The validation result,
+     *          where `step` is the index of the first invalid step (or `null` if every step is valid).
+     *
+     * @example
+     * $('#registrationForm').on('submit', function (e) {
+     *   e.preventDefault();
+     *   const { valid } = validator.validateAllSteps();
+     *   if (valid) this.submit();
+     *   else validator.focusFirstInvalid();
+     * });
+     */
+    validateAllSteps() {
+        const wizard = this.#requireWizard();
+        const result = { valid: true, errors: {}, step: null };
+
+        this.reset(wizard.form);
+        wizard.steps.each((index) => {
+            const { valid, errors } = this.validateStep(index);
+            if (valid) return;
+
+            result.valid = false;
+            result.step ??= index;
+            Object.assign(result.errors, errors);
+        });
+
+        if (result.step !== null) this.#showStep(result.step);
+        return result;
+    }
+
+    // ========================================================================
+    // Server-side Validation
+    // ========================================================================
+
+    /**
+     * Renders field errors returned by the server on the matching form fields.
+     *
+     * The errors are displayed with the same `parentClass`/`messageClass` rendering as the client-side rules
+     * (including select2 fields), and are counted in `errors`/`errorMessages`. Fields are looked up by `name`
+     * and then by `id`; dotted names such as `address.city` also match `name="address[city]"`.
+     * The errors of the previous server response in the same form are cleared first, so fields the server
+     * no longer reports are valid again.
+     *
+     * @param {ValidationError|Object<string, string|string[]>} errors - A server-side `ValidationError`
+     *                                                                   (e.g. thrown by `HTTP.fetch`) or a map of field errors.
+     * @param {jQuery|HTMLFormElement} [form=$(document.body)] - The form containing the fields.
+     *
+     * @returns {Object<string, string[]>} - The errors whose field could not be found in the form.
+     *
+     * @example
+     * try {
+     *   await HTTP.fetch({ method: 'POST', url: `${HTTP.API_PMB}/register`, request: data });
+     * } catch (error) {
+     *   if (error instanceof ValidationError) {
+     *     const unmatched = validator.showServerErrors(error, $('#registrationForm'));
+     *   }
+     * }
+     *
+     * @example
+     * validator.showServerErrors({ email: ['Email sudah terdaftar.'], 'address.city': 'Wajib diisi.' }, $('#registrationForm'));
+     */
+    showServerErrors(errors, form = $(document.body)) {
+        const fieldErrors = errors instanceof ValidationError ? errors.errors : errors;
+        const unmatched = {};
+
+        this.#clearServerErrors($(form));
+        Object.entries(fieldErrors).forEach(([field, messages]) => {
+            messages = [].concat(messages);
+            const element = this.#resolveServerField($(form), field);
+            if (element.length === 0) {
+                unmatched[field] = messages;
+                return;
+            }
+
+            const start = this.errorMessages.length;
+            this.#fieldNames.set(element.get(0), field);
+            this.errors += messages.length;
+            this.#setErrorMessage(element, messages[0], 'server');
+            messages.slice(1).forEach(message => this.#recordError(element, message, 'server'));
+            this.#serverErrors.set(element.get(0), { element, entries: this.errorMessages.slice(start) });
+            this.#watch(element);
+        });
+
+        return unmatched;
+    }
+
+    // ========================================================================
+    // Additional Methods
+    // ========================================================================
+
+    /**
+     * Clears the validation state, so the same instance can be reused for the whole page lifetime.
+     *
+     * Resets `errors` and `errorMessages`, removes the invalid styling and messages of the validated fields,
+     * and removes the event handlers attached by this validator. When a form is given, only the fields
+     * inside that form are reset.
+     *
+     * @param {jQuery|HTMLFormElement|null} [form=null] - The form to reset. Defaults to every validated field.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const validator = new MyValidator();
+     *
+     * $('#registrationForm').on('submit', function (e) {
+     *   e.preventDefault();
+     *   validator.reset();
+     *   validator.validateForm();
+     * });
+     *
+     * @example
+     * // Only reset the fields of one form
+     * validator.reset($('#addressForm'));
+     */
+    reset(form = null) {
+        const scope = form === null ? null : $(form);
+
+        this.#watched.forEach(({ element }, node) => {
+            if (scope !== null && !$.contains(scope.get(0), node)) return;
+
+            clearTimeout(this.#timers.get(node));
+            this.#timers.delete(node);
+            this.#pending.get(node)?.controller.abort('destroyed');
+            element.off(this.#namespace);
+            this.#renderMessage(element);
+            this.#watched.delete(node);
+            this.#serverErrors.delete(node);
+        });
+
+        this.#dependents.forEach((dependents, node) => {
+            if (scope === null || $.contains(scope.get(0), node)) {
+                $(node).off(`${this.#namespace}.dependents`);
+                this.#dependents.delete(node);
+            }
+        });
+
+        this.errorMessages = scope === null ? [] : this.errorMessages.filter(error =>
+            !error.element || this.#resolveField(scope, error.element.replace(/^#/, '')).length === 0
+        );
+        this.errors = this.errorMessages.length;
+        (scope ?? $(document)).find('[data-error-for]').empty();
+        this.#refreshSummary();
+    }
+
+    /**
+     * Gets the current validation errors grouped by field.
+     *
+     * Fields are keyed like the `errors` of `validateSchema` and the keys given to `showServerErrors`:
+     * by their schema field or server error key, otherwise by their name as a dotted path
+     * (`education[1][school]` -> `education.1.school`), or by their ID when they have no name.
+     * In live mode, the errors are kept up to date as the user edits the fields.
+     *
+     * @returns {Object<string, string[]>} - The error messages grouped by field (empty if there are no errors).
+     *
+     * @example
+     * // <input id="mail" name="user_email">
+     * validator.validateSchema({ user_email: 'required|email' }, $('#registrationForm'));
+     * validator.getErrors();
+     * // { user_email: ['Email tidak sesuai format'] }
+     */
+    getErrors() {
+        return this.errorMessages.reduce((errors, { field, message }) => {
+            (errors[field] ??= []).push(message);
+            return errors;
+        }, {});
+    }
+
+    /**
+     * Checks whether the validated fields are currently valid.
+     *
+     * @returns {boolean} - `true` if there are no validation errors.
+     *
+     * @example
+     * validator.validateSchema(schema, $('#registrationForm'));
+     * $('#submit').prop('disabled', !validator.isValid());
+     */
+    isValid() {
+        return this.errors === 0;
+    }
+
+    /**
+     * Renders an accessible summary of the current errors, using the `.alert.alert-danger` styles.
+     *
+     * Each failed field is listed once, as a link that reveals, scrolls to and focuses the field.
+     * The summary is announced by screen readers (`role="alert"`) and emptied when there are no errors.
+     * In live mode, a rendered summary is kept up to date as the user fixes the fields.
+     *
+     * @param {jQuery|HTMLElement|string|null} [container=this.summary] - The element receiving the summary.
+     *
+     * @returns {jQuery|null} - The summary panel, or `null` if there are no errors or no container.
+     *
+     * @example
+     * // HTML
+     * <div id="registrationErrors"></div>
+     *
+     * // JavaScript
+     * validator.validateSchema(schema, $('#registrationForm'));
+     * validator.showErrorSummary('#registrationErrors');
+     */
+    showErrorSummary(container = this.summary) {
+        if (container === null) return null;
+        this.summary = $(container);
+        this.summary.empty();
+
+        const fields = this.errorMessages.reduce((fields, error) => {
+            if (!fields.has(error.element)) fields.set(error.element, error.message);
+            return fields;
+        }, new Map());
+        if (fields.size === 0) return null;
+
+        const titleId = `validation-summary-${++Validator.#ids}`;
+        const list = $('<ul class="mb-0"></ul>');
+        fields.forEach((message, key) => {
+            const element = this.#elementOf(key);
+            const text = element.length > 0 ? `${this.#fieldLabel(element)}: ${message}` : `${key}: ${message}`;
+            const item = $('<li></li>').appendTo(list);
+            if (element.length === 0) {
+                item.text(text);
+                return;
+            }
+
+            $('<a></a>').attr('href', element.attr('id') ? '#' + element.attr('id') : '#').text(text).appendTo(item).on('click', (event) => {
+                event.preventDefault();
+                this.#focusField(element);
+            });
+        });
+
+        const panel = $('<div class="alert alert-danger validation-summary" role="alert" tabindex="-1"></div>')
+            .attr('aria-labelledby', titleId)
+            .append($('<strong></strong>').attr('id', titleId).text(Validator.translate('summaryTitle', { count: fields.size }, this.locale)))
+            .append(list);
+
+        this.summary.append(panel);
+        return panel;
+    }
+
+    /**
+     * Reveals, scrolls to and focuses the first invalid field (in document order).
+     *
+     * Collapsed `<details>` and `.collapse` sections containing invalid fields are opened, and the tab pane
+     * containing the first invalid field is shown (using Bootstrap when it is loaded).
+     *
+     * @returns {jQuery|null} - The focused field, or `null` if there are no invalid fields in the page.
+     *
+     * @example
+     * try {
+     *   validator.validateFields([...]);
+     * } catch (error) {
+     *   validator.focusFirstInvalid();
+     * }
+     */
+    focusFirstInvalid() {
+        const elements = [...new Set(this.errorMessages.map(error => error.element))]
+            .map(key => this.#elementOf(key))
+            .filter(element => element.length > 0)
+            .sort((a, b) => a.get(0).compareDocumentPosition(b.get(0)) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        if (elements.length === 0) return null;
+
+        elements.forEach(element => this.#openSections(element));
+        this.#focusField(elements[0]);
+        return elements[0];
+    }
+
+    /**
+     * Picks the error renderer of a field, overriding the `renderer` of the validator and the `data-renderer` attribute.
+     *
+     * The message currently displayed is moved to the new renderer.
+     *
+     * @param {jQuery} element - The field.
+     * @param {string|Function} renderer - The name of an entry of `Validator.renderers`, or a `(element, message, validator)` callback.
+     *
+     * @returns {Validator} - The validator instance, for chaining.
+     *
+     * @throws {Error} - If the renderer name is not registered in `Validator.renderers`.
+     *
+     * @example
+     * const validator = new Validator({ renderer: 'tooltip' })
+     *   .setRenderer($('#terms'), 'toast')
+     *   .setRenderer($('#avatar'), (element, message) => $('#avatarError').text(message));
+     */
+    setRenderer(element, renderer) {
+        if (typeof renderer !== 'function' && !Validator.renderers[renderer]) throw new Error(`Renderer validasi "${renderer}" tidak dikenali.`);
+
+        const message = this.errorMessages.find(error => error.element === this.#fieldKey(element))?.message ?? '';
+        element.each((index, node) => {
+            if (message !== '') this.#renderMessage($(node));
+            this.#renderers.set(node, renderer);
+            if (message !== '') this.#renderMessage($(node), message);
+        });
+        return this;
+    }
+
+    /**
+     * Removes every event handler attached by this validator and cancels pending live validations.
+     *
+     * Handlers are namespaced per instance, so handlers attached by other validators or by your own code are kept.
+     * Call it before discarding a validator, or before re-rendering the form it was attached to.
+     * In-flight asynchronous checks are cancelled. Unlike `reset`, the error counters and the displayed messages are kept.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const validator = new Validator({ live: true });
+     * validator.validateSchema(schema, $('#registrationForm'));
+     * // Later, e.g. when closing the modal containing the form
+     * validator.destroy();
+     */
+    destroy() {
+        this.#timers.forEach(timer => clearTimeout(timer));
+        this.#timers.clear();
+        this.#pending.forEach(({ controller }) => controller.abort('destroyed'));
+        this.#pending.clear();
+        this.#watched.forEach(({ element }) => element.off(this.#namespace));
+        this.#watched.clear();
+        this.#dependents.forEach((dependents, node) => $(node).off(this.#namespace));
+        this.#dependents.clear();
+        this.#meters.forEach(node => $(node).off(this.#namespace));
+        this.#meters.clear();
+    }
+
+    /**
+     * Validates multiple fields using a batch of validation rules.
+     *
+     * This method allows you to specify an array of validation rules, each containing
+     * a method name and its corresponding arguments. It sequentially executes the
+     * specified validation methods and throws an error if any validation fails.
+     *
+     * @param {Array} validations - An array of validation rules. Each rule should be an object with:
+     *   - `method` {string}: The name of the validation method to call (e.g., 'required', 'email').
+     *   - `args` {Array}: An array of arguments to pass to the validation method.
+     *
+     * @throws {ValidationError} - Throws a `ValidationError` if any of the validations fail.
+     *                             See `throwErrorMessage`.
+     *
+     * @example
+     * // HTML
+     * <input type="text" id="username" />
+     * <input type="email" id="email" />
+     * <input type="number" id="age" />
+     *
+     * // JavaScript
+     * const validator = new Validator();
+     *
+     * try {
+     *   validator.validateFields([
+     *     { method: 'required', args: [$('#username'), 'Username is required.'] },
+     *     { method: 'email', args: [$('#email'), 'Please provide a valid email address.'] },
+     *     { method: 'range', args: [$('#age'), 18, 99, 'Age must be between 18 and 99.'] }
+     *   ]);
+     *   console.log('All validations passed.');
+     * } catch (error) {
+     *   console.error('Validation failed:', error.message);
+     * }
+     */
+    validateFields(validations) {
+        validations.forEach(validation => {
+            const { method, args } = validation;
+            this[method](...args);
+        });
+        this.throwErrorMessage();
+    }
+
+    /**
+     * Validates multiple fields using a batch of synchronous and asynchronous validation rules.
+     *
+     * Works like `validateFields`, but also awaits asynchronous rules such as `asyncValidation`.
+     * The rules of each field run in order and stop at the first failure (so no request is sent for a value
+     * that is already invalid), while different fields are validated concurrently, up to `concurrency` at a time.
+     *
+     * @param {Array} validations - An array of validation rules, each with a `method` name and its `args`
+     *                              (the first argument being the field).
+     * @param {Object} [options={}] - The batch options.
+     * @param {number} [options.concurrency=4] - The maximum number of fields validated at the same time.
+     *
+     * @returns {Promise<void>} - Resolves when every rule passes.
+     * @throws {ValidationError} - Rejects with a `ValidationError` if any of the validations fail.
+     *
+     * @example
+     * try {
+     *   await validator.validateFieldsAsync([
+     *     { method: 'required', args: [$('#username')] },
+     *     { method: 'asyncValidation', args: [$('#username'), isUsernameAvailable, 'Username is already taken.'] },
+     *     { method: 'required', args: [$('#nik')] },
+     *     { method: 'asyncValidation', args: [$('#nik'), isNikRegistered, 'NIK is not registered.'] }
+     *   ], { concurrency: 2 });
+     * } catch (error) {
+     *   console.error('Validation failed:', error.errors);
+     * }
+     */
+    async validateFieldsAsync(validations, { concurrency = 4 } = {}) {
+        const fields = new Map();
+        validations.forEach(validation => {
+            const node = validation.args[0]?.get?.(0) ?? validation;
+            fields.set(node, [...(fields.get(node) ?? []), validation]);
+        });
+
+        const queue = [...fields.values()];
+        const worker = async () => {
+            while (queue.length > 0) {
+                for (const { method, args } of queue.shift()) {
+                    if (await this[method](...args) === false) break;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker));
+        this.throwErrorMessage();
+    }
+
+    /**
+     * Throws a `ValidationError` if there are validation errors.
+     *
+     * @param {string} [message] - The error message to throw. Defaults to the `invalidForm` message of the validator locale
+     *                             ('Masih ada form yang belum diisi atau salah.').
+     *
+     * @throws {ValidationError} - Throws a `ValidationError` with the provided message if there are validation errors.
+     *                             It carries the failed fields (keyed like `getErrors`),
+     *                             their rules and messages, and the error count.
+     *                             Nothing is logged: log `error.errors` in the caller when needed.
+     *                             When the `summary` option is set, also renders the error summary
+     *                             and focuses the first invalid field.
+     *
+     * @example
+     * try {
+     *   validator.throwErrorMessage('Some fields are invalid. Please correct them.');
+     * } catch (error) {
+     *   console.log(error.count);    // 2
+     *   console.log(error.errors);   // { email: ['Email tidak sesuai format'], username: ['Wajib diisi.'] }
+     *   console.log(error.failures); // [{ field: 'email', rule: 'email', message: 'Email tidak sesuai format' }, ...]
+     * }
+     */
+    throwErrorMessage(message = undefined) {
+        if (this.errors >= 1) {
+            const failures = this.errorMessages.map(error => ({ field: error.field, rule: error.rule ?? null, message: error.message }));
+            if (this.summary !== null) {
+                this.showErrorSummary();
+                this.focusFirstInvalid();
+            }
+            throw new ValidationError(message ?? Validator.translate('invalidForm', {}, this.locale), { failures });
+        };
+    }
+
+    /**
+     * Private method: Applies a rule to a field and renders the result.
+     *
+     * This is the DOM adapter used by the element methods: it reads the field value,
+     * tests it with the matching entry of `Validator.rules` and updates the error message.
+     *
+     * Unlike `#runRules`, the value is tested as-is, so empty values are not skipped. Fields whose type is not
+     * listed for the rule in `#fieldTypes` pass without being tested.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {string} rule - The name of the rule in `Validator.rules`.
+     * @param {Array} args - The rule arguments.
+     * @param {string} [message=""] - Custom error message. Defaults to the rule message.
+     *
+     * @returns {boolean} - Returns `true` if the validation passes, otherwise `false`.
+     *
+     * @private
+     */
+    #applyRule(element, rule, args, message = '') {
+        const definition = Validator.rules[rule];
+        const context = { field: element.attr('id') ?? element.attr('name'), label: this.#fieldLabel(element), kind: this.#fieldKind(element), locale: this.locale, get: this.#createGetter(element.closest('form'), element) };
+        const check = () => definition.test(this.#readValue(element), args, context)
+            ? null
+            : { rule, message: Validator.#resolveMessage(definition, args, message, context) };
+
+        this.#setErrorMessage(element);
+        const types = Validator.#fieldTypes[rule];
+        if (types && this.#widgetOf(element) === null && !types.includes(element.prop('type'))) {
+            return true;
+        }
+
+        const failure = check();
+        if (this.live) this.#watch(element, rule, check);
+        if (failure === null) {
+            return true;
+        }
+
+        this.errors++;
+        this.#setErrorMessage(element, failure.message, rule);
+        this.#watch(element, rule, check);
+        return false;
+    }
+
+    /**
+     * Private method: Applies an asynchronous rule to a field and renders the result.
+     *
+     * The asynchronous counterpart of `#applyRule`. See `asyncValidation` for the pending and cancellation behavior.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {string} rule - The name of the asynchronous rule in `Validator.rules`.
+     * @param {Array} args - The rule arguments.
+     * @param {string} [message=""] - Custom error message. Defaults to the rule message.
+     *
+     * @returns {Promise<boolean>} - Resolves to `true` if the validation passes, otherwise `false`.
+     *
+     * @private
+     */
+    async #applyAsyncRule(element, rule, args, message = '') {
+        const check = () => this.#runAsyncCheck(element, rule, args, message);
+
+        this.#setErrorMessage(element);
+        if (this.live) this.#watch(element, rule, check);
+
+        let failure = await check();
+        while (failure?.cancelled && failure.reason === 'changed') {
+            failure = await check();
+        }
+
+        if (failure === null) {
+            return true;
+        } else if (failure.cancelled) {
+            return false;
+        }
+
+        this.errors++;
+        this.#setErrorMessage(element, failure.message, failure.rule);
+        this.#watch(element, rule, check);
+        return false;
+    }
+
+    /**
+     * Private method: Attaches the namespaced event handlers of a field, once per field.
+     *
+     * In live mode, the handlers re-run the registered checks of the field (debounced on `input`).
+     * Otherwise, they clear the error message on the next `keyup`/`change`.
+     *
+     * @param {jQuery} element - The field to watch.
+     * @param {string|null} [rule=null] - The name of the rule registering the check.
+     * @param {Function|null} [check=null] - Returns the failure (`{ rule, message }`) of the rule, or `null` if it passes.
+     *
+     * @private
+     */
+    #watch(element, rule = null, check = null) {
+        const node = element.get(0);
+        const field = this.#watched.get(node) ?? { element, checks: new Map() };
+        if (check !== null) field.checks.set(rule, check);
+        if (this.#watched.has(node)) return;
+
+        this.#watched.set(node, field);
+        if (this.live) {
+            element.on(`input${this.#namespace}`, () => {
+                clearTimeout(this.#timers.get(node));
+                this.#timers.set(node, setTimeout(() => this.#revalidate(node), this.debounce));
+            });
+            element.on(`blur${this.#namespace} change${this.#namespace}${this.#widgetEvents(element)}`, () => this.#revalidate(node));
+        } else {
+            const events = this.#fieldKind(element) === 'text' ? ['keyup', 'change'] : ['change'];
+            element.on(events.map(event => event + this.#namespace).join(' ') + this.#widgetEvents(element), () => this.#renderMessage(element));
+        }
+    }
+
+    /**
+     * Private method: Re-runs the registered checks of a watched field and displays the first failure.
+     *
+     * Synchronous checks are rendered immediately. If an asynchronous check is superseded by a newer
+     * re-validation, or cancelled because the value changed, its result is discarded.
+     *
+     * @param {Element} node - The DOM node of the field.
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    async #revalidate(node) {
+        const field = this.#watched.get(node);
+        if (!field) return;
+
+        clearTimeout(this.#timers.get(node));
+        this.#timers.delete(node);
+        const revision = field.revision = (field.revision ?? 0) + 1;
+
+        let failure = null;
+        for (const check of field.checks.values()) {
+            failure = check();
+            if (failure instanceof Promise) failure = await failure;
+            if (revision !== field.revision || failure?.cancelled) return;
+            if (failure !== null) break;
+        }
+
+        const key = this.#fieldKey(field.element);
+        this.errorMessages = this.errorMessages.filter(error => error.element !== key);
+        this.errors = this.errorMessages.length;
+        if (failure !== null) {
+            this.errors++;
+            this.#recordError(field.element, failure.message, failure.rule);
+        }
+        this.#renderMessage(field.element, failure?.message ?? '');
+        this.#refreshSummary();
+    }
+
+    /**
+     * Private method: Runs an asynchronous check on a field, cancelling the previous check of the same field.
+     *
+     * @param {jQuery} element - The field to validate.
+     * @param {string} rule - The name of the asynchronous rule in `Validator.rules`.
+     * @param {Array} args - The rule arguments.
+     * @param {string} message - Custom error message. Defaults to the rule message.
+     *
+     * @returns {Promise<Object|null>} - `null` if valid, `{ rule, message }` if invalid,
+     *                                   or `{ cancelled: true, reason }` if the check was cancelled.
+     *
+     * @private
+     */
+    #runAsyncCheck(element, rule, args, message) {
+        const node = element.get(0);
+        const pendingEvents = `input${this.#namespace}.pending change${this.#namespace}.pending${this.#widgetEvents(element, '.pending')}`;
+        const controller = new AbortController();
+        const entry = { controller, promise: null };
+        const definition = Validator.rules[rule];
+        const context = { field: element.attr('id') ?? element.attr('name'), label: this.#fieldLabel(element), kind: this.#fieldKind(element), locale: this.locale, get: this.#createGetter(element.closest('form'), element), signal: controller.signal };
+
+        this.#pending.get(node)?.controller.abort('superseded');
+        this.#pending.set(node, entry);
+        this.#renderPending(element, true);
+        element.off(pendingEvents).one(pendingEvents, () => controller.abort('changed'));
+
+        entry.promise = (async () => {
+            try {
+                const isValid = await definition.test(this.#readValue(element), args, context);
+                if (!controller.signal.aborted) {
+                    return isValid ? null : { rule, message: Validator.#resolveMessage(definition, args, message, context) };
+                }
+            } catch (error) {
+                if (!controller.signal.aborted) {
+                    return { rule, message: Validator.translate('asyncError', { field: context.label }, this.locale) };
+                }
+            } finally {
+                if (this.#pending.get(node) === entry) {
+                    this.#pending.delete(node);
+                    element.off(pendingEvents);
+                    this.#renderPending(element, false);
+                }
+            }
+            return controller.signal.reason === 'superseded' && this.#pending.has(node)
+                ? this.#pending.get(node).promise
+                : { cancelled: true, reason: controller.signal.reason };
+        })();
+
+        return entry.promise;
+    }
+
+    /**
+     * Private method: Marks a field as pending while an asynchronous check is running.
+     *
+     * @param {jQuery} element - The field.
+     * @param {boolean} pending - Whether the check is running.
+     *
+     * @private
+     */
+    #renderPending(element, pending) {
+        this.#widgetTarget(element).toggleClass('is-pending', pending);
+        element.attr('aria-busy', pending ? 'true' : null);
+    }
+
+    /**
+     * Private method: Creates the `get(field)` accessor passed to rules.
+     *
+     * Elements are read directly; field names are looked up inside the given form (dotted paths such as
+     * `education.0.year` match `name="education[0][year]"`). When a dependent field is given, every field read through the accessor is registered as one of its
+     * controlling fields, so the dependent field is re-validated when they change.
+     *
+     * @param {jQuery} form - The form used to resolve field names.
+     * @param {jQuery|null} [dependent=null] - The field whose rules use the accessor.
+     *
+     * @returns {Function} - The accessor.
+     *
+     * @private
+     */
+    #createGetter(form, dependent = null) {
+        return (field) => {
+            const element = Validator.#isElement(field) ? $(field) : this.#resolveServerField(form, String(field));
+            if (dependent !== null) this.#watchDependency(element, dependent);
+            return this.#readValue(element);
+        };
+    }
+
+    /**
+     * Private method: Re-validates a dependent field whenever one of its controlling fields changes.
+     *
+     * The handlers are attached once per controlling field. In live mode, dependents are always re-validated
+     * (debounced on `input`); otherwise, only dependents that currently have an error are re-validated,
+     * so fixing the controlling field also clears the message of the dependent field.
+     *
+     * @param {jQuery} element - The controlling field.
+     * @param {jQuery} dependent - The dependent field.
+     *
+     * @private
+     */
+    #watchDependency(element, dependent) {
+        const dependentNode = dependent.get(0);
+        element.toArray().filter(node => node !== dependentNode).forEach(node => {
+            if (this.#dependents.has(node)) {
+                this.#dependents.get(node).add(dependentNode);
+                return;
+            }
+
+            this.#dependents.set(node, new Set([dependentNode]));
+            $(node).on(`input${this.#namespace}.dependents change${this.#namespace}.dependents${this.#widgetEvents($(node), '.dependents')}`, (event) => {
+                this.#dependents.get(node)?.forEach(target => {
+                    const field = this.#watched.get(target);
+                    if (!field || field.checks.size === 0) return;
+                    if (!this.live && !this.errorMessages.some(error => error.element === this.#fieldKey(field.element))) return;
+
+                    clearTimeout(this.#timers.get(target));
+                    if (event.type === 'input') {
+                        this.#timers.set(target, setTimeout(() => this.#revalidate(target), this.debounce));
+                    } else {
+                        this.#revalidate(target);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Private method: Runs the rules of a schema definition against a value.
+     *
+     * @param {string|Array<string|Object>} definition - The rule definition of the field.
+     * @param {*} value - The value to validate.
+     * @param {Object} context - The rule context (`field`, `kind`, `locale` and `get`, and optionally the field `label`).
+     *
+     * @returns {Array<{rule: string, message: string}>} - The failed rules and their error messages.
+     *
+     * @private
+     */
+    static #runRules(definition, value, context) {
+        const isEmpty = Validator.#isEmpty(value);
+        const rules = Validator.#parseRules(definition);
+        const isOptional = !rules.some(({ rule }) => Validator.rules[rule]?.implicit);
+
+        if (isEmpty && isOptional) return [];
+
+        return rules.reduce((failures, { rule, args, message, when }) => {
+            const definition = Validator.rules[rule];
+            if (!definition) throw new Error(`Aturan validasi "${rule}" tidak dikenali.`);
+            if (isEmpty && !definition.implicit) return failures;
+            if (when !== null && !Validator.testCondition(when, context.get)) return failures;
+            if (!definition.test(value, args, context)) {
+                failures.push({ rule, message: Validator.#resolveMessage(definition, args, message, context) });
+            }
+            return failures;
+        }, []);
+    }
+
+    /**
+     * Private method: Expands the wildcard fields of a schema against a plain data object.
+     *
+     * @param {Object} schema - The schema.
+     * @param {Object} data - The field values.
+     *
+     * @returns {Array<{field: string, definition: *, value: *, context: Object}>} - One entry per field, or per row
+     *          for wildcard fields. The context holds the `get` accessor, and `row`/`rows` for wildcard fields.
+     *
+     * @private
+     */
+    static #expandData(schema, data) {
+        const getter = (indexes) => Validator.#bindRow((field) => Validator.#getPath(data, field), indexes);
+        return Object.entries(schema).flatMap(([field, definition]) => {
+            if (!field.includes('*')) {
+                return [{ field, definition, value: Validator.#getPath(data, field), context: { get: getter([]) } }];
+            }
+
+            const entries = Validator.#toPath(field).split('.').reduce((entries, segment) => entries.flatMap(({ path, value, indexes }) =>
+                segment === '*'
+                    ? Object.entries(value ?? {}).map(([key, item]) => ({ path: [...path, key], value: item, indexes: [...indexes, key] }))
+                    : [{ path: [...path, segment], value: value?.[segment], indexes }]
+            ), [{ path: [], value: data, indexes: [] }]);
+            const rows = entries.map(({ value }) => value);
+
+            return entries.map(({ path, value, indexes }, row) => ({ field: path.join('.'), definition, value, context: { get: getter(indexes), row, rows } }));
+        });
+    }
+
+    /**
+     * Private method: Expands the wildcard fields and repeatable groups of a schema against a form.
+     *
+     * @param {Object} schema - The schema.
+     * @param {jQuery} form - The form.
+     *
+     * @returns {Array<Object>} - One entry per field, per row for wildcard fields (`{ field, definition, element, indexes, row, rows }`,
+     *                            where `rows()` reads the values of every row), or per group for `array` rules
+     *                            (`{ field, definition, element, group: true }`, where `element` holds the fields of the rows).
+     *
+     * @private
+     */
+    #expandForm(schema, form) {
+        return Object.entries(schema).flatMap(([field, definition]) => {
+            if (Validator.#parseRules(definition).some(({ rule }) => Validator.rules[rule]?.array)) {
+                const prefix = Validator.#toPath(field) + '.';
+                const element = form.find('[name]').filter((index, input) => Validator.#toPath(input.getAttribute('name')).startsWith(prefix));
+                return [{ field, definition, element, group: true }];
+            }
+            if (!field.includes('*')) {
+                return [{ field, definition, element: this.#resolveField(form, field), indexes: [] }];
+            }
+
+            const pattern = new RegExp('^' + Validator.#toPath(field).split('.').map(segment => segment === '*' ? '([^.]+)' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\.') + '$');
+            const matches = [...new Set(form.find('[name]').map((index, input) => input.getAttribute('name')).get())]
+                .map(name => ({ name, match: Validator.#toPath(name).match(pattern) }))
+                .filter(({ match }) => match !== null);
+            const elements = matches.map(({ name }) => form.find(`[name="${name}"]`));
+            const rows = () => elements.map(element => this.#readValue(element));
+
+            return matches.map(({ name, match }, row) => ({
+                field: Validator.#toPath(name), definition, element: elements[row], indexes: match.slice(1), row, rows
+            }));
+        });
+    }
+
+    /**
+     * Private method: Reads the rows of a repeatable group from a form.
+     *
+     * @param {jQuery} form - The form.
+     * @param {string} field - The group name (e.g. `education`).
+     *
+     * @returns {Array<Object>} - One object per row, mapping the field paths of the row to their values.
+     *
+     * @private
+     */
+    #readRows(form, field) {
+        const prefix = Validator.#toPath(field) + '.';
+        const rows = new Map();
+        form.find('[name]').each((index, input) => {
+            const path = Validator.#toPath(input.getAttribute('name'));
+            if (!path.startsWith(prefix)) return;
+
+            const [row, ...keys] = path.substring(prefix.length).split('.');
+            const values = rows.get(row) ?? {};
+            values[keys.join('.')] ??= this.#readValue(form.find(`[name="${input.getAttribute('name')}"]`));
+            rows.set(row, values);
+        });
+        return [...rows.values()];
+    }
+
+    /**
+     * Private method: Binds the wildcards of the fields read by a `get` accessor to the current row.
+     *
+     * @param {Function} get - The accessor.
+     * @param {Array<string>} indexes - The row indexes matched by the wildcards of the validated field.
+     *
+     * @returns {Function} - The accessor, replacing each `*` with the matching index (e.g. `education[*].start` -> `education.0.start`).
+     *
+     * @private
+     */
+    static #bindRow(get, indexes) {
+        if (indexes.length === 0) return get;
+        return (field) => {
+            if (typeof field !== 'string' || !field.includes('*')) return get(field);
+            let wildcard = 0;
+            return get(Validator.#toPath(field).split('.').map(segment => segment === '*' ? indexes[wildcard++] : segment).join('.'));
+        };
+    }
+
+    /**
+     * Private method: Converts a field name or path into a dotted path.
+     *
+     * @param {string} field - The field name or path (e.g. `education[0][year]` or `education[*].year`).
+     *
+     * @returns {string} - The dotted path (e.g. `education.0.year` or `education.*.year`).
+     *
+     * @private
+     */
+    static #toPath(field) {
+        return field.replace(/\[([^\]]*)\]/g, '.$1').replace(/\.$/, '');
+    }
+
+    /**
+     * Private method: Reads a value from a plain data object by key or dotted path.
+     *
+     * @param {Object} data - The field values.
+     * @param {string} field - The key (e.g. `email`) or path (e.g. `education.0.year`).
+     *
+     * @returns {*} - The value, or `undefined`.
+     *
+     * @private
+     */
+    static #getPath(data, field) {
+        if (data === null || data === undefined) return undefined;
+        if (Object.prototype.hasOwnProperty.call(Object(data), field)) return data[field];
+        return Validator.#toPath(String(field)).split('.').reduce((value, key) => value?.[key], data);
+    }
+
+    /**
+     * Private method: Counts the decimal places of a number.
+     *
+     * @param {number} number - The number.
+     *
+     * @returns {number} - The number of decimal places (e.g. `2` for `1250.75`), or `0` for `NaN`.
+     *
+     * @private
+     */
+    static #decimalPlaces(number) {
+        if (!Number.isFinite(number)) return 0;
+        const [mantissa, exponent = 0] = String(number).split('e');
+        return Math.max(0, (mantissa.split('.')[1]?.length ?? 0) - Number(exponent));
+    }
+
+    /**
+     * Private method: Converts the value of a repeatable group into a list of rows.
+     *
+     * @param {Array|Object|null} value - The rows, as an array or an object keyed by row index.
+     *
+     * @returns {Array} - The rows.
+     *
+     * @private
+     */
+    static #toRows(value) {
+        if (value === null || value === undefined || value === '') return [];
+        return Array.isArray(value) ? value : Object.values(value);
+    }
+
+    /**
+     * Private method: Infers the rules of a field from its native and `data-rule-*` attributes.
+     *
+     * @param {HTMLElement} input - The field.
+     *
+     * @returns {Map<string, string|Object|null>} - The rules keyed by name. `null` removes an inferred rule.
+     *
+     * @private
+     */
+    static #inferRules(input) {
+        const rules = new Map();
+        const type = (input.getAttribute('type') ?? '').toLowerCase();
+        const attribute = (name) => input.getAttribute(name);
+        // datetime-local values only include seconds and milliseconds when the step allows them and they are not zero
+        const formats = { date: 'YYYY-MM-DD', 'datetime-local': ['YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm:ss.SSS'] };
+
+        if (input.hasAttribute('required')) rules.set('required', 'required');
+        if (type === 'email' || type === 'url') rules.set(type, type);
+        if (attribute('minlength') !== null) rules.set('minLength', `minLength:${attribute('minlength')}`);
+        if (attribute('maxlength') !== null) rules.set('maxLength', `maxLength:${attribute('maxlength')}`);
+
+        if (formats[type]) {
+            const [minRule, maxRule] = type === 'date' ? ['minDate', 'maxDate'] : ['minDatetime', 'maxDatetime'];
+            if (attribute('min') !== null) rules.set(minRule, { rule: minRule, args: [attribute('min'), formats[type]] });
+            if (attribute('max') !== null) rules.set(maxRule, { rule: maxRule, args: [attribute('max'), formats[type]] });
+        } else if (type === 'number' || type === 'range') {
+            if (attribute('min') !== null) rules.set('minValue', `minValue:${attribute('min')}`);
+            if (attribute('max') !== null) rules.set('maxValue', `maxValue:${attribute('max')}`);
+            if (attribute('step') !== null && attribute('step') !== 'any') rules.set('step', `step:${attribute('step')},${attribute('min') ?? 0}`);
+        }
+
+        if (attribute('pattern') !== null) {
+            // Like the browser, ignore patterns that are not valid regular expressions
+            try {
+                rules.set('pattern', { rule: 'pattern', args: [new RegExp(`^(?:${attribute('pattern')})$`)] });
+            } catch (error) {
+                // Skip the rule
+            }
+        }
+
+        Array.from(input.attributes).filter(({ name }) => name.startsWith('data-rule-')).forEach(({ name, value }) => {
+            const rule = name.substring('data-rule-'.length).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (value === 'false') {
+                rules.set(rule, null);
+            } else {
+                rules.set(rule, value === '' || value === 'true' ? rule : `${rule}:${value}`);
+            }
+        });
+
+        return rules;
+    }
+
+    /**
+     * Private method: Builds the error message of a failed rule.
+     *
+     * The custom message (or, when empty, the rule message key) is looked up in the catalog of the context locale,
+     * then its placeholders are filled with `{field}` and the rule parameters.
+     *
+     * @param {Object} definition - The rule definition in `Validator.rules`.
+     * @param {Array} args - The rule arguments.
+     * @param {string} message - The custom error message, or an empty string.
+     * @param {Object} context - The rule context.
+     *
+     * @returns {string} - The error message.
+     *
+     * @private
+     */
+    static #resolveMessage(definition, args, message, context) {
+        const key = message !== '' ? message : (typeof definition.message === 'function' ? definition.message(args, context) : definition.message);
+        const params = { field: context.label ?? context.field, ...(definition.params?.(args, context) ?? {}) };
+        return Validator.translate(key, params, context.locale);
+    }
+
+    /**
+     * Private method: Normalizes a schema definition into a list of `{ rule, args, message }` objects.
+     *
+     * @param {string|Array<string|Object>|Object} definition - The rule definition of the field.
+     *
+     * @returns {Array<{rule: string, args: Array, message: string, when: Object|Function|null}>} - The normalized rules.
+     *
+     * @throws {Error} - If the definition contains an asynchronous rule, which schemas cannot run.
+     *
+     * @private
+     *
+     * @example
+     * Validator.#parseRules('required|range:18,99');
+     * // [{ rule: 'required', args: [], message: '', when: null }, { rule: 'range', args: [18, 99], message: '', when: null }]
+     */
+    static #parseRules(definition) {
+        const entries = typeof definition === 'string' ? definition.split('|') : [].concat(definition);
+        const rules = entries.filter(entry => entry !== '').map(entry => {
+            const { rule, args, message = '', when = null } = typeof entry === 'string' ? { rule: entry } : entry;
+            const separator = rule.indexOf(':');
+            if (separator === -1 || args !== undefined) {
+                return { rule, args: args ?? [], message, when };
+            }
+
+            const name = rule.substring(0, separator);
+            const params = rule.substring(separator + 1).split(',').map(param => /^-?\d+(\.\d+)?$/.test(param) ? Number(param) : param);
+            return { rule: name, args: Validator.rules[name]?.variadic ? [params] : params, message, when };
+        });
+
+        const asyncRule = rules.find(({ rule }) => Validator.rules[rule]?.async);
+        if (asyncRule) {
+            throw new Error(`Aturan validasi "${asyncRule.rule}" bersifat asinkron dan tidak dapat digunakan dalam skema. Gunakan metode ${asyncRule.rule} dengan validateFieldsAsync.`);
+        }
+        return rules;
+    }
+
+    /**
+     * Private method: Finds a field inside a form by its `name` (or `name[]`), falling back to its `id`.
+     *
+     * @param {jQuery} form - The form containing the field.
+     * @param {string} field - The name or ID of the field.
+     *
+     * @returns {jQuery} - The matching field(s), or an empty jQuery object.
+     *
+     * @private
+     */
+    #resolveField(form, field) {
+        const byName = form.find(`[name="${field}"],[name="${field}[]"]`);
+        return byName.length > 0 ? byName : form.find(`#${$.escapeSelector(field)}`);
+    }
+
+    /**
+     * Private method: Finds the field matching a server-side error key.
+     *
+     * Tries the key as-is, then converts dotted keys into bracket notation (`address.city` -> `address[city]`).
+     *
+     * @param {jQuery} form - The form containing the field.
+     * @param {string} field - The error key returned by the server.
+     *
+     * @returns {jQuery} - The matching field(s), or an empty jQuery object.
+     *
+     * @private
+     */
+    #resolveServerField(form, field) {
+        const element = this.#resolveField(form, field);
+        if (element.length > 0 || !field.includes('.')) return element;
+
+        const [name, ...keys] = field.split('.');
+        return this.#resolveField(form, name + keys.map(key => `[${key}]`).join(''));
+    }
+
+    /**
+     * Private method: Removes the errors rendered by `showServerErrors` from the fields of a form.
+     *
+     * The fields are re-rendered with their remaining client-side error, if any.
+     *
+     * @param {jQuery} form - The form containing the fields.
+     *
+     * @private
+     */
+    #clearServerErrors(form) {
+        this.#serverErrors.forEach(({ element, entries }, node) => {
+            if (!$.contains(form.get(0), node)) return;
+
+            const key = this.#fieldKey(element);
+            this.#serverErrors.delete(node);
+            this.errorMessages = this.errorMessages.filter(error => !entries.includes(error));
+            this.#renderMessage(element, this.errorMessages.find(error => error.element === key && error.rule !== 'server')?.message ?? '');
+        });
+        this.errors = this.errorMessages.length;
+    }
+
+    /**
+     * Private method: Reads the current value of a field.
+     *
+     * Radio buttons return the checked value (or `null`), checkbox groups return an array of checked values,
+     * and file inputs return an array of the selected files. Widgets are read through their adapter.
+     *
+     * @param {jQuery} element - The field to read.
+     *
+     * @returns {*} - The field value.
+     *
+     * @private
+     */
+    #readValue(element) {
+        const widget = this.#widgetOf(element);
+        if (widget?.read) {
+            return widget.read(element);
+        } else if (element.is('input[type="file"]')) {
+            return Array.from(element.get(0).files);
+        } else if (element.is('input[type="checkbox"]') && element.length > 1) {
+            return element.filter(':checked').map((index, input) => input.value).get();
+        } else if (element.is('input[type="radio"],input[type="checkbox"]')) {
+            return element.filter(':checked').val() ?? null;
+        }
+        return element.val();
+    }
+
+    /**
+     * Private method: Determines the kind of a field, used to pick the default `required` message.
+     *
+     * @param {jQuery} element - The field to inspect.
+     *
+     * @returns {string} - `file`, `choice` or `text`.
+     *
+     * @private
+     */
+    #fieldKind(element) {
+        const widget = this.#widgetOf(element);
+        if (widget?.kind) return widget.kind;
+        if (element.is('input[type="file"]')) return 'file';
+        if (element.is('input[type="radio"],input[type="checkbox"]')) return 'choice';
+        return 'text';
+    }
+
+    /**
+     * Private method: Finds the widget adapter handling a field.
+     *
+     * @param {jQuery} element - The field.
+     *
+     * @returns {Object|null} - The first matching entry of `Validator.widgets`, or `null` for native inputs.
+     *
+     * @private
+     */
+    #widgetOf(element) {
+        if (element.length === 0) return null;
+        return Object.values(Validator.widgets).find(widget => widget.match(element)) ?? null;
+    }
+
+    /**
+     * Private method: Gets the elements receiving the state classes (`is-invalid`, `is-pending`) of a field.
+     *
+     * @param {jQuery} element - The field.
+     *
+     * @returns {jQuery} - The widget target, or the field itself.
+     *
+     * @private
+     */
+    #widgetTarget(element) {
+        return this.#widgetOf(element)?.target?.(element, this) ?? element;
+    }
+
+    /**
+     * Private method: Gets the extra change events of a widget, namespaced for this instance.
+     *
+     * @param {jQuery} element - The field.
+     * @param {string} [suffix=""] - An extra namespace (e.g. `.pending`).
+     *
+     * @returns {string} - The events, prefixed with a space, or an empty string.
+     *
+     * @private
+     */
+    #widgetEvents(element, suffix = '') {
+        const events = this.#widgetOf(element)?.events;
+        return events ? ' ' + events.split(' ').map(event => event + this.#namespace + suffix).join(' ') : '';
+    }
+
+    /**
+     * Private method: Gets the human-readable label of a field, used by the `{field}` placeholder.
+     *
+     * Uses the `data-label` attribute, then the text of the matching `<label for>`, then the field name or ID.
+     *
+     * @param {jQuery} element - The field.
+     *
+     * @returns {string} - The field label.
+     *
+     * @private
+     */
+    #fieldLabel(element) {
+        const id = element.attr('id');
+        const label = id ? $(`label[for="${$.escapeSelector(id)}"]`).first().text().trim() : '';
+        return element.attr('data-label') ?? (label !== '' ? label : (element.attr('name') ?? id ?? ''));
+    }
+
+    /**
+     * Private method: Normalizes a gender value to `L` (laki-laki) or `P` (perempuan).
+     *
+     * @param {string} value - The gender value (e.g., `L`, `Perempuan`, `M`, `female`).
+     *
+     * @returns {string|null} - `L`, `P`, or `null` if the value is empty or unknown.
+     *
+     * @private
+     */
+    static #normalizeGender(value) {
+        const gender = String(value ?? '').trim().toUpperCase();
+        if (['L', 'LAKI-LAKI', 'PRIA', 'M', 'MALE'].includes(gender)) return 'L';
+        if (['P', 'PEREMPUAN', 'WANITA', 'F', 'FEMALE'].includes(gender)) return 'P';
+        return null;
+    }
+
+    /**
+     * Private method: Gets the `SAT` utility library: the global defined by `SAT.js`, or the `SAT.js` module in Node.
+     *
+     * @returns {Object|null} - `SAT`, or `null` if it is not loaded.
+     *
+     * @private
+     */
+    static #sat() {
+        if (typeof SAT !== 'undefined') return SAT;
+        if (typeof require !== 'function') return null;
+
+        try {
+            return require('./SAT.js');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Private method: Checks whether a value is empty (`null`, `undefined`, an empty string or an empty array).
+     *
+     * @param {*} value - The value to check.
+     *
+     * @returns {boolean} - `true` if the value is empty.
+     *
+     * @private
+     */
+    static #isEmpty(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Private method: Checks whether the validation target is a DOM element or jQuery object rather than plain data.
+     *
+     * @param {*} target - The validation target.
+     *
+     * @returns {boolean} - `true` if the target is an element.
+     *
+     * @private
+     */
+    static #isElement(target) {
+        return (typeof jQuery !== 'undefined' && target instanceof jQuery) || (typeof Element !== 'undefined' && target instanceof Element);
+    }
+
+    /**
+     * Private method: Converts a file value (a `File`, `FileList` or array) into an array of files.
+     *
+     * @param {File|FileList|File[]} value - The file value.
+     *
+     * @returns {File[]} - The files.
+     *
+     * @private
+     */
+    static #toFiles(value) {
+        if (Validator.#isEmpty(value)) return [];
+        return Array.isArray(value) ? value : (typeof value.length === 'number' ? Array.from(value) : [value]);
+    }
+
+    /**
+     * Private method: Decodes an image file to read its dimensions.
+     *
+     * @param {File} file - The image file.
+     * @param {AbortSignal} [signal] - Aborts the decoding.
+     *
+     * @returns {Promise<{width: number, height: number}|null>} - The dimensions, or `null` if the file is not a valid image.
+     *
+     * @private
+     */
+    static #readImageDimensions(file, signal) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(file);
+            const done = (result) => {
+                URL.revokeObjectURL(url);
+                signal?.removeEventListener('abort', abort);
+                result instanceof Error ? reject(result) : resolve(result);
+            };
+            const abort = () => {
+                image.src = '';
+                done(new Error('Pemeriksaan gambar dibatalkan.'));
+            };
+
+            signal?.addEventListener('abort', abort);
+            image.onload = () => done({ width: image.naturalWidth, height: image.naturalHeight });
+            image.onerror = () => done(null);
+            image.src = url;
+        });
+    }
+
+    /**
+     * Private method: Checks image dimensions against the `imageDimensions` constraints.
+     *
+     * @param {{width: number, height: number}} dimensions - The image dimensions.
+     * @param {Object} constraints - The constraints (`width`, `height`, `minWidth`, `maxWidth`, `minHeight`, `maxHeight`, `ratio`).
+     *
+     * @returns {boolean} - `true` if every constraint is met.
+     *
+     * @private
+     */
+    static #testDimensions({ width, height }, constraints) {
+        const { width: exactWidth, height: exactHeight, minWidth, maxWidth, minHeight, maxHeight, ratio } = constraints;
+        const expectedRatio = Validator.#parseRatio(ratio);
+
+        return (exactWidth === undefined || width === exactWidth)
+            && (exactHeight === undefined || height === exactHeight)
+            && (minWidth === undefined || width >= minWidth)
+            && (maxWidth === undefined || width <= maxWidth)
+            && (minHeight === undefined || height >= minHeight)
+            && (maxHeight === undefined || height <= maxHeight)
+            && (expectedRatio === null || Math.abs(width / height - expectedRatio) <= 0.01);
     }
 
     /**
-     * Validates that the input date is not earlier than the specified minimum date.
+     * Private method: Parses the `ratio` constraint of `imageDimensions`.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
-     * @param {string} minDate - The minimum date allowed, in the specified format.
-     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal tidak boleh sebelum {minDate}.'.
+     * @param {number|string|undefined} ratio - The ratio, as a number or a string such as `'3/4'` or `'16:9'`.
      *
-     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     * @returns {number|null} - The ratio as width / height, or `null` if there is no ratio.
      *
-     * @example
-     * validator.minDate($('#eventDate'), '2023-01-01', 'YYYY-MM-DD', 'Date cannot be earlier than January 1, 2023.');
+     * @throws {Error} - If the ratio cannot be parsed or is not positive.
+     *
+     * @private
      */
-    minDate(element, minDate, format = 'YYYY-MM-DD', message = '') {
-        this.#setErrorMessage(element);
-        const dateValue = moment(element.val(), format, true);
-        const min = moment(minDate, format, true);
+    static #parseRatio(ratio) {
+        if (ratio === undefined || ratio === null) return null;
 
-        if (element.is('input[type="text"],input[type="date"]') && (!dateValue.isValid() || dateValue.isBefore(min))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal tidak boleh sebelum ${min.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(?:[/:]\s*(\d+(?:\.\d+)?)\s*)?$/.exec(String(ratio));
+        const value = match ? Number(match[1]) / Number(match[2] ?? 1) : NaN;
+        if (!(value > 0 && isFinite(value))) throw new Error(`Rasio gambar "${ratio}" tidak valid.`);
+        return value;
     }
 
     /**
-     * Validates that the input date is not later than the specified maximum date.
+     * Private method: Checks the magic bytes of a file against the signatures of its MIME type.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
-     * @param {string} maxDate - The maximum date allowed, in the specified format.
-     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal tidak boleh setelah {maxDate}.'.
+     * @param {File} file - The file to check.
      *
-     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     * @returns {Promise<boolean>} - `true` if the file starts with one of the signatures of its type,
+     *                               or if its type has no registered signature.
      *
-     * @example
-     * validator.maxDate($('#eventDate'), '2023-12-31', 'YYYY-MM-DD', 'Date cannot be later than December 31, 2023.');
+     * @private
      */
-    maxDate(element, maxDate, format = 'YYYY-MM-DD', message = '') {
-        this.#setErrorMessage(element);
-        const dateValue = moment(element.val(), format, true);
-        const max = moment(maxDate, format, true);
+    static async #testFileSignature(file) {
+        const signatures = Validator.FILE_SIGNATURES[file.type];
+        if (!signatures) return true;
 
-        if (element.is('input[type="text"],input[type="date"]') && (!dateValue.isValid() || dateValue.isAfter(max))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal tidak boleh setelah ${max.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+        const length = Math.max(...signatures.map(signature => signature.length / 2));
+        const bytes = new Uint8Array(await file.slice(0, length).arrayBuffer());
+        return signatures.some(signature => signature.match(/.{2}/g).every((byte, index) =>
+            byte === '??' || bytes[index] === parseInt(byte, 16)
+        ));
     }
 
     /**
-     * Validates that the input datetime is not earlier than the specified minimum datetime.
+     * Private method: Parses a date value strictly and applies a comparison to it.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
-     * @param {string} minDatetime - The minimum datetime allowed, in the specified format.
-     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal dan waktu tidak boleh sebelum {minDatetime}.'.
+     * @param {string} value - The date value.
+     * @param {string} format - The expected date format.
+     * @param {Function} comparison - Receives the parsed `moment` date and returns `true` if valid.
      *
-     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     * @returns {boolean} - `false` if the date is invalid, otherwise the comparison result.
      *
-     * @example
-     * validator.minDatetime($('#appointmentTime'), '2023-01-01 08:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime cannot be earlier than January 1, 2023, 8:00 AM.');
+     * @private
      */
-    minDatetime(element, minDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
-        this.#setErrorMessage(element);
-        const datetimeValue = moment(element.val(), format, true);
-        const min = moment(minDatetime, format, true);
-
-        if (element.is('input[type="text"],input[type="datetime-local"]') && (!datetimeValue.isValid() || datetimeValue.isBefore(min))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal dan waktu tidak boleh sebelum ${min.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    static #compareDate(value, format, comparison) {
+        const date = moment(value, format, true);
+        return date.isValid() && comparison(date);
     }
 
     /**
-     * Validates that the input datetime is not later than the specified maximum datetime.
+     * Private method: Formats a date argument for a message, in the format it was written in.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
-     * @param {string} maxDatetime - The maximum datetime allowed, in the specified format.
-     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal dan waktu tidak boleh setelah {maxDatetime}.'.
+     * @param {string} value - The date value.
+     * @param {string|string[]} format - The expected date format, or a list of accepted formats.
      *
-     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     * @returns {string} - The formatted date, or `Invalid date`.
      *
-     * @example
-     * validator.maxDatetime($('#appointmentTime'), '2023-12-31 18:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime cannot be later than December 31, 2023, 6:00 PM.');
+     * @private
      */
-    maxDatetime(element, maxDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
-        this.#setErrorMessage(element);
-        const datetimeValue = moment(element.val(), format, true);
-        const max = moment(maxDatetime, format, true);
-
-        if (element.is('input[type="text"],input[type="datetime-local"]') && (!datetimeValue.isValid() || datetimeValue.isAfter(max))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal dan waktu tidak boleh setelah ${max.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    static #formatDate(value, format) {
+        const date = moment(value, format, true);
+        return date.format(date.creationData().format);
     }
 
     /**
-     * Validates that the input date falls within a specified range.
+     * Private method: Updates the error message and applies styling to indicate invalid fields.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="date">`).
-     * @param {string} startDate - The start date of the range, in the specified format.
-     * @param {string} endDate - The end date of the range, in the specified format.
-     * @param {string} [format="YYYY-MM-DD"] - The expected date format (default is ISO date).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal harus antara {startDate} dan {endDate}.'.
+     * @param {jQuery} element - The input field to mark as invalid.
+     * @param {string} [message=""] - The error message to display. If empty, removes the invalid state.
+     * @param {string|null} [rule=null] - The name of the failed rule, recorded in `errorMessages`.
      *
-     * @returns {boolean} - Returns `true` if the date is valid, otherwise `false`.
+     * @private
      *
      * @example
-     * validator.dateBetween($('#eventDate'), '2023-01-01', '2023-12-31', 'YYYY-MM-DD', 'Date must be between January 1 and December 31, 2023.');
+     * // Automatically called by validation methods to display error messages.
      */
-    dateBetween(element, startDate, endDate, format = 'YYYY-MM-DD', message = '') {
-        this.#setErrorMessage(element);
-        const dateValue = moment(element.val(), format, true);
-        const start = moment(startDate, format, true);
-        const end = moment(endDate, format, true);
+    #setErrorMessage(element, message = '', rule = null) {
+        message !== '' ? this.#recordError(element, message, rule) : false;
+        this.#renderMessage(element, message);
+    }
 
-        if (element.is('input[type="text"],input[type="date"]') && (!dateValue.isValid() || !dateValue.isBetween(start, end, null, '[]'))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal harus antara ${start.format(format)} dan ${end.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    /**
+     * Private method: Records an error message of a field in `errorMessages`.
+     *
+     * @param {jQuery} element - The invalid field.
+     * @param {string} message - The error message.
+     * @param {string|null} [rule=null] - The name of the failed rule.
+     *
+     * @private
+     */
+    #recordError(element, message, rule = null) {
+        this.errorMessages.push({ element: this.#fieldKey(element), field: this.#fieldName(element), rule: rule, message: message });
     }
 
     /**
-     * Validates that the input datetime falls within a specified range.
+     * Private method: Gets the name a field is reported under by `getErrors` and `throwErrorMessage`.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="text">`, `<input type="datetime-local">`).
-     * @param {string} startDatetime - The start datetime of the range, in the specified format.
-     * @param {string} endDatetime - The end datetime of the range, in the specified format.
-     * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - The expected datetime format (default is ISO datetime).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Tanggal dan waktu harus antara {startDatetime} dan {endDatetime}.'.
+     * Fields rendered by `validateSchema`/`showServerErrors` use their schema field or server error key.
+     * Other fields use their name as a dotted path, or their ID when they have no name.
      *
-     * @returns {boolean} - Returns `true` if the datetime is valid, otherwise `false`.
+     * @param {jQuery} element - The field.
      *
-     * @example
-     * validator.datetimeBetween($('#appointmentTime'), '2023-01-01 08:00:00', '2023-12-31 18:00:00', 'YYYY-MM-DD HH:mm:ss', 'Datetime must be between January 1, 2023, 8:00 AM and December 31, 2023, 6:00 PM.');
+     * @returns {string|undefined} - The field name.
+     *
+     * @private
      */
-    datetimeBetween(element, startDatetime, endDatetime, format = 'YYYY-MM-DD HH:mm:ss', message = '') {
-        this.#setErrorMessage(element);
-        const datetimeValue = moment(element.val(), format, true);
-        const start = moment(startDatetime, format, true);
-        const end = moment(endDatetime, format, true);
-
-        if (element.is('input[type="text"],input[type="datetime-local"]') && (!datetimeValue.isValid() || !datetimeValue.isBetween(start, end, null, '[]'))) {
-            this.errors++;
-            const errorMessage = message !== '' ? message : `Tanggal dan waktu harus antara ${start.format(format)} dan ${end.format(format)}.`;
-            this.#setErrorMessage(element, errorMessage);
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    #fieldName(element) {
+        const name = element.attr('name')?.replace(/\[\]$/, '');
+        return this.#fieldNames.get(element.get(0)) ?? (name ? Validator.#toPath(name) : element.attr('id'));
     }
 
-    // ========================================================================
-    // Format Validation
-    // ========================================================================
-
     /**
-     * Validates that the input value is a valid email address.
+     * Private method: Gets the key identifying a field in `errorMessages`.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="email">`, `<input type="text">`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Email tidak sesuai format'.
+     * Select fields use their ID, other fields use `#` followed by their ID. Fields without an ID use their name.
      *
-     * @returns {boolean} - Returns `true` if the email is valid, otherwise `false`.
+     * @param {jQuery} element - The field.
      *
-     * @example
-     * validator.email($('#email'), 'Please enter a valid email address.');
+     * @returns {string|undefined} - The field key.
+     *
+     * @private
      */
-    email(element, message = '') {
-        this.#setErrorMessage(element);
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (element.is('input[type="text"],input[type="email"]') && !emailRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Email tidak sesuai format');
-            element.on('keyup', () => this.#setErrorMessage(element));
-            return false;
-        } else {
-            return true;
+    #fieldKey(element) {
+        if (element.hasClass('select2-hidden-accessible') || element.is('select')) {
+            return element.attr('id') ?? element.attr('name');
         }
+        return element.attr('id') ? '#' + element.attr('id') : element.attr('name');
     }
 
     /**
-     * Validates that the input value is a valid URL.
+     * Private method: Sets `aria-invalid` on a field and links it to its message with `aria-describedby`.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="url">`, `<input type="text">`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'URL tidak sesuai format.'.
+     * The message element gets a generated ID if it has none. Other `aria-describedby` IDs are kept.
      *
-     * @returns {boolean} - Returns `true` if the URL is valid, otherwise `false`.
+     * @param {jQuery} element - The field.
+     * @param {string} [message=""] - The error message. If empty, removes the invalid state.
      *
-     * @example
-     * validator.url($('#website'), 'Please enter a valid URL.');
+     * @private
      */
-    url(element, message = '') {
-        this.#setErrorMessage(element);
-        const urlRegex = /^(https?:\/\/)?([\w\-]+\.)+[\w\-]+(\/[\w\-]*)*$/;
-        if (element.is('input[type="text"],input[type="url"]') && !urlRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'URL tidak sesuai format.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    #renderAria(element, message = '') {
+        const messageElement = element.closest(this.parentClass).find(this.messageClass).first();
+        element.attr('aria-invalid', message !== '' ? 'true' : null);
+        if (messageElement.length === 0) return;
+
+        const id = messageElement.attr('id') ?? messageElement.attr('id', `validation-message-${++Validator.#ids}`).attr('id');
+        const describedBy = (element.attr('aria-describedby') ?? '').split(' ').filter(token => token !== '' && token !== id);
+        if (message !== '') describedBy.push(id);
+        element.attr('aria-describedby', describedBy.length > 0 ? describedBy.join(' ') : null);
     }
 
     /**
-     * Validates that the input value is a valid phone number format.
+     * Private method: Gets the wizard state, or throws if `defineSteps` was not called.
      *
-     * @param {jQuery} element - The input field to validate (e.g., `<input type="tel">`, `<input type="text">`).
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Nomor telepon tidak valid.'.
+     * @returns {Object} - The wizard state.
      *
-     * @returns {boolean} - Returns `true` if the phone number format is valid, otherwise `false`.
+     * @throws {Error} - If no wizard steps are defined.
      *
-     * @example
-     * validator.phoneNumber($('#contact'), 'Please enter a valid phone number.');
+     * @private
      */
-    phoneNumber(element, message = '') {
-        this.#setErrorMessage(element);
-        const phoneRegex = /^[0-9+\s()-]+$/;
-        if (element.is('input[type="text"],input[type="tel"]') && !phoneRegex.test(element.val())) {
-            this.errors++;
-            this.#setErrorMessage(element, message !== '' ? message : 'Nomor telepon tidak valid.');
-            element.on('keyup change', () => this.#setErrorMessage(element));
-            return false;
-        }
-        return true;
+    #requireWizard() {
+        if (this.#wizard === null) throw new Error('Langkah wizard belum didefinisikan. Panggil defineSteps terlebih dahulu.');
+        return this.#wizard;
     }
 
-    // ========================================================================
-    // Asynchronous Validation
-    // ========================================================================
+    /**
+     * Private method: Displays a wizard step and hides the others.
+     *
+     * @param {number} index - The index of the step.
+     *
+     * @private
+     */
+    #showStep(index) {
+        const wizard = this.#wizard;
+        const previous = wizard.current;
+        wizard.current = index;
+        wizard.steps.each((step, container) => {
+            $(container).toggleClass('d-none', step !== index).attr('aria-current', step === index ? 'step' : null);
+        });
+        if (previous !== index) wizard.onStepChange?.(index, previous);
+    }
 
     /**
-     * Performs asynchronous validation using a provided validator function.
+     * Private method: Checks whether a field is skipped by the wizard, because it is disabled or hidden.
      *
-     * @param {jQuery} element - The input field to validate.
-     * @param {Function} asyncValidatorFunction - A function that returns a `Promise` resolving to `true` if valid and `false` otherwise.
-     * @param {string} [message=""] - Custom error message to display if validation fails.
-     *                                Defaults to 'Input tidak valid.'.
+     * Only `d-none` and `hidden` elements inside the step count, since the steps other than the current one are hidden.
      *
-     * @returns {Promise<boolean>} - Returns `true` if the validation passes, otherwise `false`.
+     * @param {jQuery} element - The field.
+     * @param {HTMLElement} step - The step container.
      *
-     * @example
-     * async function isUsernameAvailable(value) {
-     *     const response = await fetch(`/api/check-username?username=${value}`);
-     *     const result = await response.json();
-     *     return result.available;
-     * }
+     * @returns {boolean} - `true` if the field is skipped.
      *
-     * await validator.asyncValidation($('#username'), isUsernameAvailable, 'Username is already taken.');
+     * @private
      */
-    async asyncValidation(element, asyncValidatorFunction, message = '') {
-        this.#setErrorMessage(element);
-        try {
-            const isValid = await asyncValidatorFunction(element.val());
-            if (!isValid) {
-                this.errors++;
-                this.#setErrorMessage(element, message !== '' ? message : 'Input tidak valid.');
-                element.on('keyup change', () => this.#setErrorMessage(element));
-                return false;
-            }
-        } catch (error) {
-            this.errors++;
-            this.#setErrorMessage(element, 'Terjadi kesalahan saat validasi.');
-            return false;
-        }
-        return true;
+    #isSkipped(element, step) {
+        return element.is(':disabled') || element.parentsUntil(step).addBack().filter('.d-none,[hidden]').length > 0;
     }
 
-    // ========================================================================
-    // Additional Methods
-    // ========================================================================
-
     /**
-     * Validates multiple fields using a batch of validation rules.
+     * Private method: Re-renders the error summary if it is currently displayed.
      *
-     * This method allows you to specify an array of validation rules, each containing
-     * a method name and its corresponding arguments. It sequentially executes the
-     * specified validation methods and throws an error if any validation fails.
+     * @private
+     */
+    #refreshSummary() {
+        if (this.summary !== null && this.summary.children('.validation-summary').length > 0) {
+            this.showErrorSummary();
+        }
+    }
+
+    /**
+     * Private method: Finds the field identified by an `errorMessages` key (`#id`, ID or name).
      *
-     * @param {Array} validations - An array of validation rules. Each rule should be an object with:
-     *   - `method` {string}: The name of the validation method to call (e.g., 'required', 'email').
-     *   - `args` {Array}: An array of arguments to pass to the validation method.
+     * @param {string|undefined} key - The field key.
      *
-     * @throws {Error} - Throws an error if any of the validations fail. The error message can be customized
-     *                   through the `throwErrorMessage` method.
+     * @returns {jQuery} - The field, or an empty jQuery object (e.g. for plain data validated by `validateSchema`).
      *
-     * @example
-     * // HTML
-     * <input type="text" id="username" />
-     * <input type="email" id="email" />
-     * <input type="number" id="age" />
+     * @private
+     */
+    #elementOf(key) {
+        if (!key) return $();
+        const name = key.replace(/^#/, '');
+        const byId = $(`#${$.escapeSelector(name)}`);
+        return byId.length > 0 ? byId : $(`[name="${name}"]`);
+    }
+
+    /**
+     * Private method: Opens the collapsed `<details>` and `.collapse` sections, and the tab pane, containing a field.
      *
-     * // JavaScript
-     * const validator = new Validator();
+     * @param {jQuery} element - The field.
      *
-     * try {
-     *   validator.validateFields([
-     *     { method: 'required', args: [$('#username'), 'Username is required.'] },
-     *     { method: 'email', args: [$('#email'), 'Please provide a valid email address.'] },
-     *     { method: 'range', args: [$('#age'), 18, 99, 'Age must be between 18 and 99.'] }
-     *   ]);
-     *   console.log('All validations passed.');
-     * } catch (error) {
-     *   console.error('Validation failed:', error.message);
-     * }
+     * @private
      */
-    validateFields(validations) {
-        validations.forEach(validation => {
-            const { method, args } = validation;
-            this[method](...args);
+    #openSections(element) {
+        element.parents('details:not([open])').attr('open', '');
+        element.parents('.collapse:not(.show)').each((index, section) => {
+            typeof bootstrap !== 'undefined'
+                ? bootstrap.Collapse.getOrCreateInstance(section, { toggle: false }).show()
+                : $(section).addClass('show');
+        });
+        element.parents('.tab-pane:not(.active)').each((index, pane) => {
+            const trigger = $(`[data-bs-target="#${pane.id}"],[href="#${pane.id}"]`).filter('[data-bs-toggle="tab"],[data-bs-toggle="pill"],[role="tab"]').first();
+            if (typeof bootstrap !== 'undefined' && trigger.length > 0) {
+                bootstrap.Tab.getOrCreateInstance(trigger.get(0)).show();
+                return;
+            }
+            $(pane).addClass('active show').siblings('.tab-pane').removeClass('active show');
+            trigger.addClass('active').attr('aria-selected', 'true');
+            trigger.closest('.nav').find('.active').not(trigger).removeClass('active').attr('aria-selected', 'false');
         });
-        this.throwErrorMessage();
     }
 
     /**
-     * Throws an error if there are validation errors.
+     * Private method: Reveals, scrolls to and focuses a field.
      *
-     * @param {string} [message="Masih ada form yang belum diisi atau salah."] - The error message to throw.
+     * Widgets are focused through the `focus` hook of their adapter, or their target element.
      *
-     * @throws {Error} - Throws an error with the provided message if there are validation errors.
-     *                   Logs the validation errors to the console.
+     * @param {jQuery} element - The field.
      *
-     * @example
-     * validator.throwErrorMessage('Some fields are invalid. Please correct them.');
+     * @private
      */
-    throwErrorMessage(message = 'Masih ada form yang belum diisi atau salah.') {
-        if (this.errors >= 1) {
-            console.error({ validationErrors: this.errorMessages });
-            throw new Error(message);
-        };
+    #focusField(element) {
+        this.#openSections(element);
+        const widget = this.#widgetOf(element);
+        const target = widget?.target?.(element, this) ?? element;
+        target.get(0)?.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        widget?.focus ? widget.focus(element) : target.first().trigger('focus');
     }
 
     /**
-     * Private method: Updates the error message and applies styling to indicate invalid fields.
+     * Private method: Displays the error message of a field without recording it in `errorMessages`.
      *
-     * @param {jQuery} element - The input field to mark as invalid.
+     * @param {jQuery} element - The input field to update.
      * @param {string} [message=""] - The error message to display. If empty, removes the invalid state.
      *
      * @private
+     */
+    #renderMessage(element, message = '') {
+        element.attr('aria-invalid', message !== '' ? 'true' : null);
+        this.#rendererOf(element)(element, message, this);
+    }
+
+    /**
+     * Private method: Gets the renderer of a field.
      *
-     * @example
-     * // Automatically called by validation methods to display error messages.
+     * The renderer picked with `setRenderer` comes first, then the `data-renderer` attribute of the field,
+     * then the `renderer` of the validator.
+     *
+     * @param {jQuery} element - The field.
+     *
+     * @returns {Function} - The renderer.
+     *
+     * @throws {Error} - If the renderer name is not registered in `Validator.renderers`.
+     *
+     * @private
      */
-    #setErrorMessage(element, message = '') {
-        if (element.hasClass('select2-hidden-accessible')) {
-            element.closest(this.parentClass).find('.select2-selection').toggleClass('is-invalid', message !== '');
-            message !== '' ? this.errorMessages.push({ element: element.attr('id'), message: message }) : false;
-            element.closest(this.parentClass).find(this.messageClass).html(message);
-        } else if (element.is('select')) {
-            element.closest(this.parentClass).find('.select2-selection').toggleClass('is-invalid', message !== '');
-            message !== '' ? this.errorMessages.push({ element: element.attr('id'), message: message }) : false;
-        } else {
-            element.toggleClass('is-invalid', message !== '');
-            message !== '' ? this.errorMessages.push({ element: '#' + element.attr('id'), message: message }) : false;
-            element.closest(this.parentClass).find(this.messageClass).html(message);
-        }
+    #rendererOf(element) {
+        const renderer = this.#renderers.get(element.get(0)) ?? element.attr('data-renderer') ?? this.renderer;
+        if (typeof renderer === 'function') return renderer;
+        if (!Validator.renderers[renderer]) throw new Error(`Renderer validasi "${renderer}" tidak dikenali.`);
+        return Validator.renderers[renderer];
     }
 
 
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Validator;
+}